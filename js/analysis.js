@@ -0,0 +1,380 @@
+// ============================================================
+// analysis.js  –  Numerical analysis shared by the UI and CLI
+// ============================================================
+//
+// Pure functions over plain arrays; nothing here touches the DOM.
+
+/**
+ * Split the weighted rates of data.sources() into creation and removal.
+ * A reaction that both creates and removes the species (at different
+ * times) appears in both, with the other sign clipped to zero.
+ * Returns { creation, removal }, each { ids: rxnId[], weighted: { rxnId: number[] } }
+ * with all values ≥ 0.
+ */
+export function splitSources(sourcesDict) {
+  const creation = { ids: [], weighted: {} };
+  const removal  = { ids: [], weighted: {} };
+  for (const rId of Object.keys(sourcesDict).map(Number)) {
+    const w = sourcesDict[rId];
+    if (w.some(v => v > 0)) { creation.ids.push(rId); creation.weighted[rId] = w.map(v => Math.max(v, 0)); }
+    if (w.some(v => v < 0)) { removal.ids.push(rId);  removal.weighted[rId]  = w.map(v => Math.max(-v, 0)); }
+  }
+  return { creation, removal };
+}
+
+/** Largest value of an array (a loop rather than Math.max(...arr), which overflows the stack on long runs) */
+export function arrMax(arr) {
+  let m = -Infinity;
+  for (const v of arr) if (v > m) m = v;
+  return m;
+}
+
+/** Largest value of y over the samples with t0 ≤ t ≤ t1 (−Infinity if there are none) */
+export function rangeMax(t, y, t0, t1) {
+  let m = -Infinity;
+  for (let i = 0; i < t.length; i++) {
+    if (t[i] >= t0 && t[i] <= t1 && y[i] > m) m = y[i];
+  }
+  return m;
+}
+
+/**
+ * Select reactions to display.
+ * weightedMap: { rxnId: number[] }  (all values ≥ 0)
+ * score: importance of a reaction from its values, by default the peak
+ * over all timesteps (e.g. an integral, or the peak within a window).
+ * Returns array of rxnIds sorted by importance.
+ */
+export function filterRates(weightedMap, ids, delta, maxRates = 8, minRates = 1, score = arrMax) {
+  if (!ids.length) return [];
+
+  // Contribution of each reaction
+  const maxVal = ids.map(id => score(weightedMap[id]));
+  const globalMax = arrMax(maxVal);
+  if (!(globalMax > 0)) return [];
+
+  const normMax = maxVal.map(v => v / globalMax); // [0..1]
+
+  // Sort descending
+  const sorted = ids.map((id, i) => ({ id, norm: normMax[i] }))
+                    .sort((a, b) => b.norm - a.norm);
+
+  const result = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const { id, norm } = sorted[i];
+    if (i < minRates) {
+      result.push(id);
+    } else if (i < maxRates) {
+      if (delta === 0 || norm > delta) result.push(id);
+    } else {
+      // Still include very dominant reactions above max cap
+      if (delta > 0 && norm > (1 - delta)) result.push(id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Share of each reaction in the total production (or loss) at every step,
+ * for a stacked area chart. side: { ids, weighted } from splitSources();
+ * shown: the ids to keep apart, the others are summed into `other`.
+ * Shares are percentages and add up to 100 wherever the total is non-zero
+ * (they are 0 elsewhere). Returns { shares: { rxnId: Float64Array }, other }.
+ */
+export function reactionShares({ ids, weighted }, shown, n) {
+  const total = new Float64Array(n);
+  for (const id of ids) {
+    const w = weighted[id];
+    for (let i = 0; i < n; i++) if (isFinite(w[i])) total[i] += w[i];
+  }
+  const toShare = w => Float64Array.from({ length: n }, (_, i) => total[i] > 0 && isFinite(w[i]) ? 100 * w[i] / total[i] : 0);
+  const shares = {};
+  for (const id of shown) shares[id] = toShare(weighted[id]);
+  const keep = new Set(shown);
+  const rest = new Float64Array(n);
+  for (const id of ids) {
+    if (keep.has(id)) continue;
+    const w = weighted[id];
+    for (let i = 0; i < n; i++) if (isFinite(w[i])) rest[i] += w[i];
+  }
+  return { shares, other: toShare(rest) };
+}
+
+/**
+ * Characteristic timescales of a species from its density and weighted
+ * rates (data.sources()): loss n / L and production n / P, with L and P
+ * the total removal and production rates [cm⁻³ s⁻¹]. Steps without any
+ * loss (or production) give Infinity.
+ * Returns { loss, production } [s] and the rates { lossRate, productionRate },
+ * arrays aligned with time.
+ */
+export function timescales(sourcesDict, density) {
+  const n = density.length;
+  const P = new Float64Array(n), L = new Float64Array(n);
+  for (const w of Object.values(sourcesDict)) {
+    for (let i = 0; i < n; i++) {
+      if (w[i] > 0) P[i] += w[i];
+      else if (w[i] < 0) L[i] -= w[i];
+    }
+  }
+  // Checked rather than divided so that an empty species (0 / 0) is not NaN
+  const per = (v, rate) => rate > 0 ? v / rate : Infinity;
+  return {
+    loss:       Float64Array.from(density, (v, i) => per(v, L[i])),
+    production: Float64Array.from(density, (v, i) => per(v, P[i])),
+    lossRate: L,
+    productionRate: P,
+  };
+}
+
+/**
+ * First time at or after sample i0 where y reaches `level`, interpolated
+ * linearly between samples; NaN if it never does.
+ */
+function crossing(t, y, level, i0 = 0) {
+  for (let i = i0; i < t.length; i++) {
+    if (y[i] === level) return t[i];
+    if (i > i0 && (y[i - 1] - level) * (y[i] - level) < 0) {
+      return t[i - 1] + (level - y[i - 1]) * (t[i] - t[i - 1]) / (y[i] - y[i - 1]);
+    }
+  }
+  return NaN;
+}
+
+/**
+ * Features of a time series, for the Features dialog:
+ *   peak       largest value and its time
+ *   rise       first time the change since the start reaches `fraction`
+ *              of the total change (y0 + fraction·(final − y0))
+ *   decay      e-folding time after the peak: time to fall to peak/e
+ *   steady     start of the final stretch where y stays within
+ *              `tolerance` (relative) of its final value
+ * Times that don't exist (no change, no decay, no steady stretch before
+ * the last sample) are NaN. Returns { peakTime, peak, final, riseTime,
+ * riseValue, decayTime, steadyTime, steadyValue }.
+ */
+export function seriesFeatures(t, y, fraction = 0.9, tolerance = 0.01) {
+  const n = t.length;
+  let iPeak = 0;
+  for (let i = 1; i < n; i++) if (y[i] > y[iPeak] || Number.isNaN(y[iPeak])) iPeak = i;
+  const peak = y[iPeak], final = y[n - 1];
+
+  const riseValue = y[0] + fraction * (final - y[0]);
+  const riseTime  = final === y[0] ? NaN : crossing(t, y, riseValue);
+  const decayTime = peak > 0 ? crossing(t, y, peak / Math.E, iPeak) - t[iPeak] : NaN;
+
+  let k = n - 1;
+  while (k > 0 && Math.abs(y[k - 1] - final) <= tolerance * Math.abs(final)) k--;
+
+  return {
+    peakTime: t[iPeak], peak, final, riseTime, riseValue, decayTime,
+    steadyTime:  k < n - 1 ? t[k] : NaN,
+    steadyValue: y[k],
+  };
+}
+
+/**
+ * Charge and element totals over time, for checking conservation.
+ * parsed: parseSpecies() result per species (null when unreadable, such
+ * species are left out); densities: values per species, aligned with time.
+ * Returns { positive, negative, electrons, netCharge, elements } where
+ * positive / negative are ion densities (not weighted by charge),
+ * netCharge is Σ charge·n in elementary charges per cm³ and elements maps
+ * each symbol to its total atom density. All arrays have length n.
+ * Passing the result of an earlier call as `totals` adds to it instead,
+ * so that the species can be summed a batch at a time.
+ */
+export function conservationTotals(parsed, densities, n, totals = null) {
+  const { positive, negative, electrons, netCharge, elements } = totals || {
+    positive:  new Float64Array(n),
+    negative:  new Float64Array(n),
+    electrons: new Float64Array(n),
+    netCharge: new Float64Array(n),
+    elements:  new Map(),
+  };
+
+  parsed.forEach((p, s) => {
+    const y = densities[s];
+    if (!p || !y) return;
+    const total = p.electron ? electrons : p.charge > 0 ? positive : p.charge < 0 ? negative : null;
+    for (let i = 0; i < n; i++) {
+      const v = y[i];
+      if (total) total[i] += v;
+      netCharge[i] += p.charge * v;
+    }
+    for (const [symbol, count] of p.elements) {
+      if (!elements.has(symbol)) elements.set(symbol, new Float64Array(n));
+      const arr = elements.get(symbol);
+      for (let i = 0; i < n; i++) arr[i] += count * y[i];
+    }
+  });
+  return { positive, negative, electrons, netCharge, elements };
+}
+
+/** Value of y at time `at`, linear between samples and clamped to the ends */
+export function interpolate(t, y, at) {
+  const n = t.length;
+  if (!n) return NaN;
+  if (at <= t[0]) return y[0];
+  if (at >= t[n - 1]) return y[n - 1];
+  let lo = 0, hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (t[mid] <= at) lo = mid; else hi = mid;
+  }
+  return y[lo] + (y[hi] - y[lo]) * (at - t[lo]) / (t[hi] - t[lo]);
+}
+
+/** Rows [start, end) of t that interpolate(t, y, at) reads */
+export function interpolationRows(t, at) {
+  const n = t.length;
+  if (!n) return [0, 0];
+  if (at <= t[0]) return [0, 1];
+  if (at >= t[n - 1]) return [n - 1, n];
+  let lo = 0, hi = n - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (t[mid] <= at) lo = mid; else hi = mid;
+  }
+  return [lo, hi + 1];
+}
+
+/**
+ * Trapezoidal integral of y(t) over [t0, t1], interpolating linearly at
+ * the ends of the window. Segments with non-finite values are skipped.
+ */
+export function integrate(t, y, t0 = -Infinity, t1 = Infinity) {
+  let sum = 0;
+  for (let i = 1; i < t.length; i++) {
+    const a = Math.max(t[i - 1], t0), b = Math.min(t[i], t1);
+    if (!(b > a)) continue;
+    const dt = t[i] - t[i - 1];
+    const slope = (y[i] - y[i - 1]) / dt;
+    const ya = y[i - 1] + slope * (a - t[i - 1]);
+    const yb = y[i - 1] + slope * (b - t[i - 1]);
+    if (isFinite(ya) && isFinite(yb)) sum += 0.5 * (ya + yb) * (b - a);
+  }
+  return sum;
+}
+
+/**
+ * Production and loss budget of a species over [t0, t1] from its weighted
+ * rates (data.sources()). Returns { production, loss }, each
+ * { rows: [{ id, amount, percent }] sorted by amount, total } where amount
+ * is the integrated contribution [cm⁻³] and percent its share of the total.
+ */
+export function sourceBudget(sourcesDict, t, t0, t1) {
+  const { creation, removal } = splitSources(sourcesDict);
+  const side = ({ ids, weighted }) => {
+    const rows = ids.map(id => ({ id, amount: integrate(t, weighted[id], t0, t1) }))
+                    .filter(r => r.amount > 0)
+                    .sort((a, b) => b.amount - a.amount);
+    const total = rows.reduce((sum, r) => sum + r.amount, 0);
+    for (const r of rows) r.percent = 100 * r.amount / total;
+    return { rows, total };
+  };
+  return { production: side(creation), loss: side(removal) };
+}
+
+/**
+ * Time derivative of y by finite differences: second-order central
+ * differences on the (possibly non-uniform) grid, one-sided at the ends.
+ * Repeated times give non-finite values.
+ */
+export function derivative(t, y) {
+  const n = t.length;
+  const d = new Float64Array(n).fill(NaN);
+  if (n < 2) return d;
+  d[0]     = (y[1] - y[0]) / (t[1] - t[0]);
+  d[n - 1] = (y[n - 1] - y[n - 2]) / (t[n - 1] - t[n - 2]);
+  for (let i = 1; i < n - 1; i++) {
+    const h1 = t[i] - t[i - 1], h2 = t[i + 1] - t[i];
+    d[i] = -h2 / (h1 * (h1 + h2)) * y[i - 1] + (h2 - h1) / (h1 * h2) * y[i] + h1 / (h2 * (h1 + h2)) * y[i + 1];
+  }
+  return d;
+}
+
+const BALANCE_FLOOR = 1e-6;
+
+/**
+ * Check the chemistry of a species against its density: the net source
+ * Σ coeff·rate from its weighted rates (data.sources()) against the
+ * numerical dn/dt. The relative residual at each step is
+ * |dn/dt − source| / max(Σ |coeff·rate|, |dn/dt|), so 0 when the chemistry
+ * explains the change and about 1 when it doesn't at all. The summary
+ * (largest and mean relative residual) skips steps where that scale is
+ * below BALANCE_FLOOR of its peak, where a vanishing density leaves only
+ * round-off and finite-difference noise.
+ * Returns { source, dndt, residual, relative, maxRelative, timeOfMax, meanRelative }.
+ */
+export function speciesBalance(sourcesDict, t, density) {
+  const n = t.length;
+  const source = new Float64Array(n);
+  const gross  = new Float64Array(n);
+  for (const w of Object.values(sourcesDict)) {
+    for (let i = 0; i < n; i++) { source[i] += w[i]; gross[i] += Math.abs(w[i]); }
+  }
+  const dndt = derivative(t, density);
+  const residual = dndt.map((v, i) => v - source[i]);
+  const scale = dndt.map((v, i) => Math.max(gross[i], Math.abs(v)));
+  const relative = residual.map((v, i) => scale[i] > 0 ? Math.abs(v) / scale[i] : v === 0 ? 0 : NaN);
+
+  const floor = BALANCE_FLOOR * arrMax(scale.filter(isFinite));
+  let maxRelative = 0, timeOfMax = NaN, sum = 0, count = 0;
+  relative.forEach((v, i) => {
+    if (!isFinite(v) || scale[i] < floor) return;
+    if (v > maxRelative || isNaN(timeOfMax)) { maxRelative = v; timeOfMax = t[i]; }
+    sum += v;
+    count++;
+  });
+  return { source, dndt, residual, relative, maxRelative, timeOfMax, meanRelative: count ? sum / count : NaN };
+}
+
+/**
+ * Reactants and products of every reaction from the source matrix:
+ * [{ reactants: [[species, ν]], products: [[species, ν]] }] with 1-based
+ * species indices and ν > 0. Species with a zero net coefficient
+ * (catalysts, third bodies) appear in neither.
+ */
+export function reactionSides(sourceMatrix, nReactions) {
+  const sides = Array.from({ length: nReactions }, () => ({ reactants: [], products: [] }));
+  sourceMatrix.forEach((row, s) => {
+    for (let r = 0; r < nReactions; r++) {
+      const nu = row[r];
+      if (nu < 0) sides[r].reactants.push([s + 1, -nu]);
+      else if (nu > 0) sides[r].products.push([s + 1, nu]);
+    }
+  });
+  return sides;
+}
+
+/**
+ * Species-to-species fluxes through the reactions touching `species`
+ * (1-based). Reaction r with weight w (rate, or rate integrated over
+ * time) gives an edge from each reactant A to each product B carrying
+ * w·ν_B, the rate at which r turns A into B.
+ * weightOf(r) returns w for a 1-based reaction index.
+ * Returns [{ from, to, weight, reactions: [{ id, weight }] }], only edges
+ * into or out of `species`, reactions sorted by weight.
+ */
+export function speciesFluxEdges(sides, reactionIds, weightOf, species) {
+  const edges = new Map();
+  for (const id of reactionIds) {
+    const w = weightOf(id);
+    if (!(w > 0)) continue;
+    const { reactants, products } = sides[id - 1];
+    for (const [a] of reactants) {
+      for (const [b, nu] of products) {
+        if (a !== species && b !== species) continue;
+        const key = a + '>' + b;
+        if (!edges.has(key)) edges.set(key, { from: a, to: b, weight: 0, reactions: [] });
+        const e = edges.get(key);
+        e.weight += w * nu;
+        e.reactions.push({ id, weight: w * nu });
+      }
+    }
+  }
+  const out = [...edges.values()];
+  for (const e of out) e.reactions.sort((x, y) => y.weight - x.weight);
+  return out;
+}
@@ -3,6 +3,14 @@
 // ============================================================
 
 import { HDF5Data, DirectoryData } from './data.js';
+import { splitSources, filterRates, rangeMax, reactionShares, timescales, seriesFeatures, arrMax, conservationTotals, interpolate, interpolationRows, integrate, sourceBudget,
+         reactionSides, speciesFluxEdges, speciesBalance } from './analysis.js';
+import { parseSpecies } from './chem.js';
+import { csvEscape, windowRows, windowSeries, alignSeries, resampleSeries, timeGrid,
+         seriesToDelimited, seriesToJSON, seriesToNpy, seriesToNpzMembers } from './export.js';
+import { loadJSZip } from './loader-ops.js';
+import { parseExpression, bindExpression } from './expr.js';
+import { downsampleM4 } from './downsample.js';
 
 // ---- Constants ----
 
@@ -11,8 +19,26 @@ const COLOR_SERIES = [
   '#8d0ade', '#33bbcc', '#cc6600', '#444400', '#7777ff', '#77ff77'
 ];
 const LINE_WIDTH   = 1.7;
+// Line dash per loaded run: traces share a colour per series, a dash per run
+const RUN_DASHES   = ['solid', 'dash', 'dot', 'dashdot', 'longdash', 'longdashdot'];
 const DENS_THRESHOLD = 1e-10;
 const RATE_THRESHOLD = 1e-20;
+const OTHER_COLOR  = 'rgba(144, 144, 144, 0.5)'; // minor reactions lumped together in share charts
+const MONITOR_INTERVAL = 2000; // ms between polls of a running simulation
+const DERIVED_STORAGE_KEY = 'jsplaskin.derived';
+const SESSION_STORAGE_KEY = 'jsplaskin.sessions';
+const MAX_SESSIONS = 20;       // datasets whose view is remembered
+// List the rows of each table come from
+const TABLE_LISTS = {
+  'cond-table': 'conditions', 'spec-table': 'species', 'react-table': 'reactions',
+  'src-table':  'species',    'cons-table': 'species', 'pw-table':    'species',
+};
+// Controls saved with a view
+const VIEW_CONTROLS = ['src-filter', 'src-max', 'src-min', 'src-rank', 'src-mode', 'dens-mode',
+                       'pw-mode', 'pw-t0', 'pw-t1', 'pw-at', 'pw-threshold', 'pw-exclude', 'pw-view'];
+const VIEW_FORMAT = 'jsplaskin-view';
+// Tables that can show derived series, with the tab they are on
+const DERIVED_TABLES = { 'spec-table': 'Densities', 'react-table': 'Reactions', 'cond-table': 'Overview' };
 
 const CONDITIONS_PRETTY = {
   gas_temperature:         'Gas temperature [K]',
@@ -29,19 +55,70 @@ const CONDITIONS_PRETTY = {
   elec_power_inelastic_n:  'Electron inelastic power [eV cm³ s⁻¹]',
 };
 
+// Tabs plotting selected series over time: list, kind of series, chart and legend label
+const SERIES_TABS = {
+  'tab-conditions': { table: 'cond-table',  kind: 'condition', chart: 'cond-chart',  label: ({ name }) => CONDITIONS_PRETTY[name] || name },
+  'tab-densities':  { table: 'spec-table',  kind: 'density',   chart: 'dens-chart',  label: ({ name }) => name },
+  'tab-reactions':  { table: 'react-table', kind: 'rate',      chart: 'react-chart', label: ({ index, name }) => '[' + index + '] ' + name },
+};
+
+// Series a dashboard panel can plot: list, y-axis title and scale, log threshold, legend label
+const PANEL_KINDS = {
+  condition: { list: 'conditions', yTitle: '',                yType: 'linear', threshold: 0,              label: SERIES_TABS['tab-conditions'].label },
+  density:   { list: 'species',    yTitle: 'Density [cm⁻³]',  yType: 'log',    threshold: DENS_THRESHOLD, label: SERIES_TABS['tab-densities'].label },
+  rate:      { list: 'reactions',  yTitle: 'Rate [cm⁻³ s⁻¹]', yType: 'log',    threshold: RATE_THRESHOLD, label: SERIES_TABS['tab-reactions'].label },
+};
+// Panel widths in sixths of the dashboard, and heights [px]
+const PANEL_SPANS   = [[2, '⅓'], [3, '½'], [4, '⅔'], [6, 'Full']];
+const PANEL_HEIGHTS = { small: 240, medium: 340, large: 480 };
+
 // ---- App state ----
 
-let data        = null;
+let runs        = [];    // [{ data, label, dash }] – runs[0] is the reference run
+let data        = null;  // reference run's data (drives the tables)
+let appendRuns  = false; // load new files as additional runs instead of replacing
 let logTimeScale = false;
 let lightTheme  = false;
 let sharedXRange = null;  // null = autorange, [min, max] = locked range
 let isSyncing   = false;
-const chartIds  = ['cond-chart', 'dens-chart', 'react-chart', 'creation-chart', 'removal-chart'];
+let monitor     = null;  // live run being polled: { data, handle, timer, busy }
+let loadAbort   = null;  // AbortController of the load in progress
+let loadErrors  = [];    // validation-style issues for loads that failed
+let derivedSeries = loadDerivedSeries(); // [{ name, expr, table }] – user-defined series
+let derivedEditing = null; // definition open in the editor, null for a new one
+let budget      = null;  // last production/loss budget, for CSV export
+let budgetRequest = 0;   // latest computeBudget() call; older ones drop their result
+let balanceReport = null; // last all-species balance check: { run, rows }
+let timescaleRank = null; // timescales on show in the ranking: { run, time, rows }
+let timescaleSort = { key: 'loss', dir: 1 };
+let featureMarks = null; // features annotated on a chart: { chart, fraction, rows }
+let pathway     = null;  // pathway graph on show: { data, root, expanded: Set of species (1-based) }
+const sidesCache = new WeakMap(); // ModelData -> reactionSides(), see sidesOf()
+let reactionDetail = null;      // reaction (1-based) in the reaction detail dialog
+let snapshotTime = null; // time marked on the charts [s], null for none
+let snapshot    = null;  // values on show in the snapshot table: { run, time, rows }
+let snapshotSort = { key: 'kind', dir: 1 };
+// Time charts kept in sync; dashboard panels add and remove theirs
+const chartIds  = ['cond-chart', 'dens-chart', 'react-chart', 'creation-chart', 'removal-chart',
+                   'charge-chart', 'element-chart'];
+let dashboard   = [];    // panels: { id, title, kind, series: [[index, name]], yType, span, height }
+let nextPanelId = 1;
+let panelEditing = null; // panel open in the panel editor, null for a new one
 
 // ============================================================
 // UTILITIES
 // ============================================================
 
+/** Short non-cryptographic hash of a string (32-bit FNV-1a, hex) */
+function hashString(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
 function colorCycler() {
   let i = 0;
   return () => COLOR_SERIES[i++ % COLOR_SERIES.length];
@@ -93,11 +170,104 @@ function setStatus(msg) {
 
 function showLoading(msg) {
   document.getElementById('loading-msg').textContent = msg || 'Loading…';
+  document.getElementById('loading-bar').style.width = '0';
+  document.getElementById('loading-progress').classList.add('hidden');
   document.getElementById('loading-overlay').classList.remove('hidden');
 }
 
 function hideLoading() {
   document.getElementById('loading-overlay').classList.add('hidden');
+  loadAbort = null;
+}
+
+function fmtBytes(n) {
+  if (n < 1024 * 1024) return (n / 1024).toFixed(0) + ' kB';
+  return (n / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+/**
+ * Show the loading overlay for a cancellable load. Returns the options
+ * ({ signal, onProgress }) to hand to the data loaders.
+ */
+function startLoading(msg) {
+  showLoading(msg);
+  loadAbort = new AbortController();
+  return {
+    signal: loadAbort.signal,
+    onProgress: ({ done, total, rows, label }) => {
+      let text = label || msg;
+      if (rows !== undefined) {
+        text += '  —  ' + fmtBytes(done) + ' / ' + fmtBytes(total) + '  (' + rows.toLocaleString() + ' rows)';
+      } else if (total) {
+        text += '  —  ' + Math.round(100 * done / total) + '%';
+      }
+      document.getElementById('loading-msg').textContent = text;
+      document.getElementById('loading-progress').classList.remove('hidden');
+      document.getElementById('loading-bar').style.width = (total ? 100 * done / total : 0) + '%';
+    },
+  };
+}
+
+/** Failed loads go to the diagnostics panel rather than a blocking alert */
+function reportLoadError(what, e) {
+  if (e.name === 'AbortError') {
+    setStatus('Loading cancelled.');
+    return;
+  }
+  setStatus('Error: ' + e.message);
+  console.error(e);
+  loadErrors.push({ severity: 'error', file: what, where: '', message: 'failed to load: ' + e.message });
+  refreshDiagnostics(true);
+}
+
+// ============================================================
+// DIAGNOSTICS PANEL
+// ============================================================
+
+/**
+ * Rebuild the validation report of all loaded runs and update the topbar
+ * badge. The panel opens by itself only when asked to (or when `open` is
+ * 'errors' and there are errors); otherwise it stays as the user left it.
+ */
+function refreshDiagnostics(open = false) {
+  const groups = runs.map(run => ({ label: run.label, issues: run.data.validate() }));
+  if (loadErrors.length) groups.unshift({ label: 'Failed loads', issues: loadErrors });
+
+  const all = groups.flatMap(g => g.issues);
+  const nErr  = all.filter(i => i.severity === 'error').length;
+  const nWarn = all.length - nErr;
+
+  const toggle = document.getElementById('diag-toggle');
+  toggle.classList.toggle('hidden', !all.length);
+  toggle.classList.toggle('has-errors', nErr > 0);
+  document.getElementById('diag-count').textContent = all.length;
+  document.getElementById('diag-title').textContent =
+    'Diagnostics  —  ' + nErr + ' error(s), ' + nWarn + ' warning(s)';
+
+  const body = document.getElementById('diag-body');
+  body.innerHTML = '';
+  for (const g of groups) {
+    if (!g.issues.length) continue;
+    if (groups.length > 1) {
+      const h = document.createElement('div');
+      h.className = 'diag-run';
+      h.textContent = g.label;
+      body.appendChild(h);
+    }
+    const table = document.createElement('table');
+    table.className = 'diag-table';
+    table.innerHTML = g.issues.map(i =>
+      '<tr class="' + i.severity + '"><td class="diag-sev">' + i.severity + '</td>' +
+      '<td class="diag-loc">' + escHtml(i.file) + (i.where ? ':  ' + escHtml(i.where) : '') + '</td>' +
+      '<td>' + escHtml(i.message) + '</td></tr>'
+    ).join('');
+    body.appendChild(table);
+  }
+  if (!all.length) body.textContent = 'No problems found.';
+
+  if (open === true || (open === 'errors' && nErr > 0)) {
+    document.getElementById('diagnostics').classList.remove('hidden');
+  }
 }
 
 // ============================================================
@@ -135,10 +305,10 @@ function populateTable(tableId, items, singleSelect = false) {
       // Ctrl/Cmd+click: toggle individual item
       row.classList.toggle('selected');
     } else if (e.shiftKey && lastSelectedRow) {
-      // Shift+click: extend range
-      const rows  = Array.from(tbody.querySelectorAll('tr'));
-      const a = rows.indexOf(lastSelectedRow);
+      // Shift+click: extend range over the rows the filter shows
+      const rows  = Array.from(tbody.querySelectorAll('tr:not(.filtered-out)'));
       const b = rows.indexOf(row);
+      const a = rows.includes(lastSelectedRow) ? rows.indexOf(lastSelectedRow) : b;
       const [lo, hi] = [Math.min(a, b), Math.max(a, b)];
       rows.slice(lo, hi + 1).forEach(r => r.classList.add('selected'));
     } else {
@@ -153,10 +323,93 @@ function populateTable(tableId, items, singleSelect = false) {
   tbody.addEventListener('mousedown', (e) => { if (e.shiftKey) e.preventDefault(); });
 }
 
+/**
+ * Selected rows as { index (1-based), name }, or { derived, name } for
+ * derived series (derived: the definition).
+ */
 function getSelected(tableId) {
   return Array.from(
     document.querySelectorAll('#' + tableId + ' tbody tr.selected')
-  ).map(tr => ({ index: parseInt(tr.dataset.idx), name: tr.cells[1].textContent }));
+  ).map(tr => tr.classList.contains('derived')
+    ? { derived: derivedSeries[parseInt(tr.dataset.derived)], name: tr.cells[1].textContent }
+    : { index: parseInt(tr.dataset.idx), name: tr.cells[1].textContent });
+}
+
+// ============================================================
+// LIST SEARCH
+// ============================================================
+
+/**
+ * Predicate for a filter text: "/pattern/flags" is a regular expression,
+ * anything else a case-insensitive substring. Throws on an invalid pattern.
+ */
+function textMatcher(text) {
+  const m = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (m) {
+    const re = new RegExp(m[1], m[2].replace(/[gy]/g, ''));
+    return name => re.test(name);
+  }
+  const lower = text.toLowerCase();
+  return name => name.toLowerCase().includes(lower);
+}
+
+/** 1-based species a reaction filter names: an exact match, else every match */
+function filterSpecies(text) {
+  const exact = data.species.indexOf(text);
+  if (exact >= 0) return [exact + 1];
+  const match = textMatcher(text);
+  return data.species.map((name, i) => match(name) ? i + 1 : 0).filter(Boolean);
+}
+
+// Reaction filter modes: test on a species' net coefficient in the reaction
+const INVOLVEMENT = {
+  involves: c => c !== 0,
+  produces: c => c > 0,
+  consumes: c => c < 0,
+};
+
+/**
+ * Hide the rows of a list that don't match its filter box. The reaction
+ * list can instead keep the reactions that involve, produce or consume the
+ * matching species, by their stoichiometric coefficients.
+ */
+function applyListFilter(tableId) {
+  const input = document.querySelector('.list-filter[data-table="' + tableId + '"]');
+  if (!input) return;
+  const text = input.value.trim();
+  const modeSel = tableId === 'react-table' && document.getElementById('react-filter-mode');
+  const mode = modeSel ? modeSel.value : 'name';
+  const rows = document.querySelectorAll('#' + tableId + ' tbody tr');
+
+  let keep = null;   // null: no filter
+  input.classList.remove('invalid');
+  if (text && data) {
+    try {
+      if (mode === 'name') {
+        const match = textMatcher(text);
+        keep = tr => match(tr.cells[1].textContent);
+      } else {
+        const involved = INVOLVEMENT[mode];
+        const rowsOf = filterSpecies(text).map(s => data.sourceMatrix[s - 1] || []);
+        keep = tr => !tr.classList.contains('derived') &&
+                     rowsOf.some(row => involved(row[parseInt(tr.dataset.idx) - 1] || 0));
+      }
+    } catch (_) {
+      input.classList.add('invalid');
+    }
+  }
+
+  let shown = 0;
+  rows.forEach(tr => {
+    const ok = !keep || keep(tr);
+    tr.classList.toggle('filtered-out', !ok);
+    if (ok) shown++;
+  });
+  input.parentElement.querySelector('.list-count').textContent = keep ? shown + ' of ' + rows.length : '';
+}
+
+function applyListFilters() {
+  document.querySelectorAll('.list-filter').forEach(input => applyListFilter(input.dataset.table));
 }
 
 function populateAll() {
@@ -165,6 +418,12 @@ function populateAll() {
   populateTable('spec-table',   data.species,    false);
   populateTable('react-table',  data.reactions,  false);
   populateTable('src-table',    data.species,    true);
+  renderDerivedRows();
+  populateConservationTable();
+  populateTable('pw-table',     data.species,    true);
+  applyListFilters();
+  pathway = null;
+  Plotly.purge(document.getElementById('pathway-chart'));
 
   // Clear all charts
   sharedXRange = null;
@@ -175,95 +434,635 @@ function populateAll() {
 }
 
 // ============================================================
-// DATA LOADING
+// CROSS-LINKS
 // ============================================================
 
-async function loadH5File(file) {
-  showLoading('Loading ' + file.name + '…');
+// Species list of each tab and whether it is single-select
+const SPECIES_LISTS = {
+  densities:   ['spec-table', false],
+  sensitivity: ['src-table',  true],
+  pathways:    ['pw-table',   true],
+};
+
+/** Switch to a tab, carrying the species selected in the tab left behind */
+function showTab(tab) {
+  const from = document.querySelector('.tab-btn.active');
+  if (from && from.dataset.tab !== tab && SPECIES_LISTS[from.dataset.tab] && SPECIES_LISTS[tab]) {
+    carrySpeciesSelection(SPECIES_LISTS[from.dataset.tab][0], ...SPECIES_LISTS[tab]);
+  }
+  document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b.dataset.tab === tab));
+  document.querySelectorAll('.tab-pane').forEach(p => p.classList.toggle('active', p.id === 'tab-' + tab));
+  // Trigger resize so Plotly redraws correctly after tab switch
+  window.dispatchEvent(new Event('resize'));
+}
+
+/**
+ * Select the species of one list in another, unless it already has them:
+ * a single-select list keeps its species if it is one of them, a
+ * multi-select list if it holds them all.
+ */
+function carrySpeciesSelection(fromTable, toTable, single) {
+  const from = getSelected(fromTable).filter(s => s.index).map(s => s.index);
+  if (!from.length) return;
+  const to = new Set(getSelected(toTable).map(s => s.index));
+  if (single ? from.some(i => to.has(i)) : from.every(i => to.has(i))) return;
+  selectRows(toTable, single ? from.slice(0, 1) : from);
+}
+
+/**
+ * Select exactly the rows of a list with these 1-based indices, clearing
+ * the list's filter if it hides any of them.
+ */
+function selectRows(tableId, indices) {
+  const wanted = new Set(indices);
+  const rows = Array.from(document.querySelectorAll('#' + tableId + ' tbody tr'));
+  rows.forEach(tr => tr.classList.toggle('selected', !tr.dataset.derived && wanted.has(parseInt(tr.dataset.idx))));
+  const picked = rows.filter(tr => tr.classList.contains('selected'));
+  if (picked.some(tr => tr.classList.contains('filtered-out'))) {
+    document.querySelector('.list-filter[data-table="' + tableId + '"]').value = '';
+    applyListFilter(tableId);
+  }
+  if (picked.length) picked[0].scrollIntoView({ block: 'nearest' });
+}
+
+/** reactionSides() of a run, computed once */
+function sidesOf(d) {
+  if (!sidesCache.has(d)) sidesCache.set(d, reactionSides(d.sourceMatrix, d.reactions.length));
+  return sidesCache.get(d);
+}
+
+/** Plot reactions (1-based) in the Reactions tab */
+async function showReactions(rxnIds) {
+  selectRows('react-table', rxnIds);
+  showTab('reactions');
+  await updateReactChart();
+}
+
+/** Reactions tab with every reaction that produces or consumes a species */
+async function showSpeciesReactions(spIdx) {
+  const row = data.sourceMatrix[spIdx - 1] || [];
+  const rxnIds = data.reactions.map((_, r) => r + 1).filter(r => row[r - 1]);
+  const name = data.species[spIdx - 1];
+  if (!rxnIds.length) { setStatus('No reactions produce or consume ' + name + ' (check source matrix).'); return; }
+  await showReactions(rxnIds);
+  setStatus(rxnIds.length + ' reaction(s) produce or consume ' + name);
+}
+
+/** Densities tab with the reactants and products of a reaction */
+async function showReactionSpecies(rxnIdx) {
+  const { reactants, products } = sidesOf(data)[rxnIdx - 1];
+  const spIds = [...reactants, ...products].map(([s]) => s);
+  if (!spIds.length) { setStatus('Reaction ' + rxnIdx + ' changes no species (check source matrix).'); return; }
+  selectRows('spec-table', spIds);
+  showTab('densities');
+  await updateDensChart();
+}
+
+/** Sensitivity tab for a species */
+async function showSpeciesSources(spIdx) {
+  selectRows('src-table', [spIdx]);
+  showTab('sensitivity');
+  await updateSourceChart();
+}
+
+/** Open the detail of a reaction (1-based) of the reference run */
+async function openReactionDetail(rxnIdx) {
+  if (!data) return;
+  reactionDetail = rxnIdx;
+  const { reactants, products } = sidesOf(data)[rxnIdx - 1];
+  const row = (side, [s, nu]) =>
+    '<tr class="clickable" data-idx="' + s + '" title="Production and loss of this species">' +
+    '<td>' + escHtml(data.species[s - 1]) + '</td><td>' + side + '</td><td class="num">' + nu + '</td></tr>';
+  document.getElementById('reaction-title').textContent = 'Reaction ' + rxnIdx;
+  document.getElementById('reaction-label').textContent = data.reactions[rxnIdx - 1] || '?';
+  document.querySelector('#reaction-table tbody').innerHTML =
+    reactants.map(r => row('reactant', r)).join('') + products.map(p => row('product', p)).join('');
+  const summary = document.getElementById('reaction-summary');
+  summary.textContent = reactants.length || products.length ? '' : 'This reaction changes no species (check source matrix).';
+  summary.classList.remove('error');
+  document.getElementById('reaction-dialog').classList.remove('hidden');
+
+  let y;
   try {
-    data = await HDF5Data.fromFile(file);
+    y = await data.withSeries({ rate: [rxnIdx] }, () => data.rate(rxnIdx));
+  } catch (e) {
+    if (reactionDetail !== rxnIdx) return;
+    summary.textContent = 'Cannot read the rate: ' + e.message;
+    summary.classList.add('error');
+    return;
+  }
+  if (reactionDetail !== rxnIdx || !y || !y.length) return;
+  let iMax = 0;
+  for (let i = 1; i < y.length; i++) if (y[i] > y[iMax]) iMax = i;
+  summary.textContent = [
+    summary.textContent,
+    'Peak rate ' + y[iMax].toExponential(3) + ' cm⁻³ s⁻¹ at ' + fmtTime(data.t[iMax]) +
+    ', ' + integrate(data.t, y).toExponential(3) + ' cm⁻³ over the run' +
+    (runs.length > 1 ? ' (' + runs[0].label + ')' : ''),
+  ].filter(Boolean).join(' ');
+}
+
+function closeReactionDetail() {
+  document.getElementById('reaction-dialog').classList.add('hidden');
+}
+
+// ============================================================
+// RUNS
+// ============================================================
+
+function describeRun(run) {
+  return run.label +
+    '  |  ' + run.data.species.length   + ' species' +
+    '  |  ' + run.data.reactions.length + ' reactions' +
+    '  |  ' + run.data.t.length         + ' timesteps';
+}
+
+function uniqueRunLabel(label, self = null) {
+  const taken = new Set(runs.filter(r => r !== self).map(r => r.label));
+  if (!taken.has(label)) return label;
+  let n = 2;
+  while (taken.has(label + ' (' + n + ')')) n++;
+  return label + ' (' + n + ')';
+}
+
+/** Assign dashes in load order so the reference run is always solid */
+function assignRunDashes() {
+  runs.forEach((run, i) => { run.dash = RUN_DASHES[i % RUN_DASHES.length]; });
+}
+
+/**
+ * Install freshly loaded data, either replacing everything or, when
+ * appendRuns is set and a run is already loaded, as an extra run.
+ */
+function addRun(newData, label) {
+  if (appendRuns && runs.length) {
+    runs.push({ data: newData, label: uniqueRunLabel(label) });
+    assignRunDashes();
+    renderRunBar();
+    replotAll();
+    setStatus('Added run: ' + describeRun(runs[runs.length - 1]) +
+              '  |  ' + runs.length + ' runs loaded');
+  } else {
+    saveSession();
+    runs.forEach(closeRun);
+    runs = [{ data: newData, label }];
+    data = newData;
+    loadErrors = [];
+    assignRunDashes();
+    renderRunBar();
     populateAll();
-    setStatus(
-      'Loaded: ' + file.name +
-      '  |  ' + data.species.length + ' species' +
-      '  |  ' + data.reactions.length + ' reactions' +
-      '  |  ' + data.t.length + ' timesteps'
-    );
+    setStatus('Loaded: ' + describeRun(runs[0]));
+    restoreSession().then(restored => {
+      if (restored) setStatus('Loaded: ' + describeRun(runs[0]) + '  |  previous view restored');
+    }).catch(e => {
+      // A view that can't be applied would fail again next time
+      forgetSession(newData);
+      setStatus('Loaded: ' + describeRun(runs[0]) + '  |  previous view not restored: ' + e.message);
+      console.error(e);
+    });
+  }
+  refreshDiagnostics('errors');
+}
+
+/** Release a run's files; one that can't be closed has nothing left to release */
+function closeRun(run) {
+  run.data.close().catch(() => {});
+}
+
+function removeRun(i) {
+  if (i === 0) saveSession();
+  closeRun(runs[i]);
+  runs.splice(i, 1);
+  assignRunDashes();
+  renderRunBar();
+  if (i === 0) {
+    // The reference run drives the tables, so a new one means fresh lists
+    data = runs.length ? runs[0].data : null;
+    if (data) populateAll();
+    else {
+      // As populateAll() would: the pathway graph is not one of the time charts
+      pathway = null;
+      ['pathway-chart', ...chartIds].forEach(id => { const el = document.getElementById(id); if (el) Plotly.purge(el); });
+    }
+  } else {
+    replotAll();
+  }
+  refreshDiagnostics();
+  setStatus(runs.length ? runs.length + ' run(s) loaded' : 'No data loaded.');
+}
+
+function renameRun(i) {
+  const label = prompt('Label for this run:', runs[i].label);
+  if (!label || label === runs[i].label) return;
+  runs[i].label = uniqueRunLabel(label.trim(), runs[i]);
+  renderRunBar();
+  replotAll();
+  refreshDiagnostics();
+}
+
+/** Run chips in the tab bar; only shown when comparing several runs */
+function renderRunBar() {
+  const bar = document.getElementById('run-bar');
+  bar.innerHTML = '';
+  bar.classList.toggle('hidden', runs.length < 2);
+  runs.forEach((run, i) => {
+    const chip = document.createElement('div');
+    chip.className = 'run-chip';
+    chip.title = (i === 0 ? 'Reference run — ' : '') + 'double-click to rename';
+    chip.innerHTML =
+      '<svg width="22" height="6"><line x1="0" y1="3" x2="22" y2="3" stroke="currentColor" ' +
+      'stroke-width="1.7" stroke-dasharray="' + dashArray(run.dash) + '"/></svg>' +
+      '<span class="run-label">' + escHtml(run.label) + '</span>' +
+      '<span class="run-remove" title="Remove run">×</span>';
+    chip.querySelector('.run-label').addEventListener('dblclick', () => renameRun(i));
+    chip.querySelector('.run-remove').addEventListener('click', () => removeRun(i));
+    bar.appendChild(chip);
+  });
+}
+
+/** SVG stroke-dasharray approximating Plotly's named dashes */
+function dashArray(dash) {
+  return {
+    solid: '', dash: '5,3', dot: '1.5,2.5', dashdot: '5,2,1.5,2',
+    longdash: '9,3', longdashdot: '9,2,1.5,2',
+  }[dash] || '';
+}
+
+/**
+ * For a series picked from the reference run's list, find the matching
+ * series (by name) in every loaded run. Labels can repeat (e.g. the same
+ * reaction with different rate coefficients), so the n-th occurrence of
+ * a name is matched to the n-th occurrence in the other runs.
+ * listKey: 'species' | 'reactions' | 'conditions'; refIndex: 1-based
+ * Returns [{ run, index (1-based) }] — runs lacking the name are skipped.
+ */
+function matchRuns(listKey, name, refIndex) {
+  const refList = runs[0].data[listKey];
+  let occurrence = 0;
+  for (let i = 0; i < refIndex - 1; i++) if (refList[i] === name) occurrence++;
+
+  const out = [];
+  for (const run of runs) {
+    const list = run.data[listKey];
+    let seen = 0;
+    for (let i = 0; i < list.length; i++) {
+      if (list[i] !== name) continue;
+      if (seen++ === occurrence) { out.push({ run, index: i + 1 }); break; }
+    }
+  }
+  return out;
+}
+
+/** Legend label: tagged with the run label only when comparing runs */
+function runLabel(label, run) {
+  return runs.length > 1 ? label + '  ·  ' + run.label : label;
+}
+
+// ============================================================
+// SESSION STATE AND VIEW FILES
+// ============================================================
+
+/**
+ * The view on the reference run: active tab, selected rows (by index and
+ * name, with the definitions of selected derived series), controls, axis
+ * scales and ranges, theme and the charts on show. Saved per dataset in
+ * localStorage and, to share, as a .jsplaskin.json file.
+ */
+function captureView() {
+  const selections = {};
+  for (const tableId of Object.keys(TABLE_LISTS)) {
+    const sel = getSelected(tableId);
+    if (!sel.length) continue;
+    selections[tableId] = {
+      rows:    sel.filter(s => s.index).map(s => [s.index, s.name]),
+      derived: sel.filter(s => s.derived).map(s => ({ ...s.derived })),
+    };
+  }
+  // y ranges zoomed into (x is shared, see sharedXRange)
+  const yRanges = {};
+  const panelCharts = new Set(dashboard.map(panelChartId));
+  for (const id of chartIds) {
+    const range = !panelCharts.has(id) && zoomedYRange(id);
+    if (range) yRanges[id] = range;
+  }
+  return {
+    format: VIEW_FORMAT,
+    version: 1,
+    dataset: { label: runs[0].label, fingerprint: datasetFingerprint(data) },
+    tab: document.querySelector('.tab-btn.active').dataset.tab,
+    selections,
+    controls: Object.fromEntries(VIEW_CONTROLS.map(id => [id, document.getElementById(id).value])),
+    logTimeScale,
+    lightTheme,
+    sharedXRange,
+    charts: Object.keys(CHART_UPDATERS).filter(id => document.getElementById(id)._fullLayout),
+    // The graph's own root, which the list selection may no longer match
+    pathway: pathway && pathway.data === data ? {
+      root: [pathway.root, data.species[pathway.root - 1]],
+      expanded: [...pathway.expanded].filter(s => s !== pathway.root).map(s => [s, data.species[s - 1]]),
+    } : null,
+    yRanges,
+    dashboard: dashboard.map(p => ({
+      title: p.title, kind: p.kind, series: p.series, yType: p.yType, span: p.span, height: p.height,
+      yRange: zoomedYRange(panelChartId(p)),
+    })),
+  };
+}
+
+/** y range of a chart the user zoomed into, null when autoranged */
+function zoomedYRange(chartId) {
+  const div = document.getElementById(chartId);
+  const yaxis = div && div._fullLayout && div.layout.yaxis;
+  return yaxis && yaxis.autorange === false && Array.isArray(yaxis.range) ? yaxis.range.slice() : null;
+}
+
+/**
+ * 1-based indices in a list of rows saved as [index, name]: the saved
+ * index if the name there matches, else the first row with that name.
+ * Returns { indices, missing: names not in the list }.
+ */
+function resolveRows(list, rows) {
+  const indices = [], missing = [];
+  for (const [index, name] of rows || []) {
+    const i = list[index - 1] === name ? index : list.indexOf(name) + 1;
+    if (i) indices.push(i);
+    else missing.push(name);
+  }
+  return { indices, missing };
+}
+
+/**
+ * Apply a view to the reference run and replot its charts. A row is found
+ * at its saved index if the name there matches, else by name. Returns the
+ * names the run lacks: { species, reactions, conditions }.
+ */
+async function applyView(view) {
+  const missing = { species: new Set(), reactions: new Set(), conditions: new Set() };
+  const selections = view.selections || {};
+  Object.keys(TABLE_LISTS).forEach(tableId => selectRows(tableId, []));
+  if (document.querySelector('.tab-btn[data-tab="' + view.tab + '"]')) showTab(view.tab);
+
+  // Derived series come with their definitions
+  const defs = Object.values(selections).flatMap(sel => sel.derived || [])
+    .filter(d => d && d.name && d.expr && DERIVED_TABLES[d.table]);
+  const added = defs.filter(d => !derivedSeries.some(e => e.name === d.name && e.table === d.table));
+  if (added.length) {
+    derivedSeries.push(...added.map(({ name, expr, table }) => ({ name, expr, table })));
+    saveDerivedSeries();
+    renderDerivedRows();
+    renderDerivedList();
+  }
+
+  for (const [tableId, { rows, derived }] of Object.entries(selections)) {
+    const listKey = TABLE_LISTS[tableId];
+    if (!listKey) continue;
+    const { indices, missing: lacking } = resolveRows(data[listKey], rows);
+    lacking.forEach(name => missing[listKey].add(name));
+    selectRows(tableId, indices);
+    const names = new Set((derived || []).map(d => d.name));
+    document.querySelectorAll('#' + tableId + ' tbody tr.derived').forEach(tr => {
+      if (names.has(tr.cells[1].textContent)) tr.classList.add('selected');
+    });
+  }
+
+  for (const [id, value] of Object.entries(view.controls || {})) {
+    if (VIEW_CONTROLS.includes(id)) document.getElementById(id).value = value;
+  }
+  showPathwayMode();
+  if (!!view.lightTheme !== lightTheme) setTheme(!!view.lightTheme);
+  logTimeScale = !!view.logTimeScale;
+  document.getElementById('menu-logtime').classList.toggle('checked', logTimeScale);
+  sharedXRange = Array.isArray(view.sharedXRange) ? view.sharedXRange : null;
+  for (const id of view.charts || []) {
+    if (id === 'pathway-chart') await restorePathways(view.pathway, missing);
+    else if (CHART_UPDATERS[id]) await CHART_UPDATERS[id]();
+  }
+  for (const [id, range] of Object.entries(view.yRanges || {})) {
+    const div = chartIds.includes(id) && document.getElementById(id);
+    if (div && div._fullLayout) await Plotly.relayout(div, { 'yaxis.range': range }).catch(() => {});
+  }
+  if (Array.isArray(view.dashboard)) {
+    clearDashboard();
+    for (const { yRange, ...spec } of view.dashboard.filter(p => p && PANEL_KINDS[p.kind])) {
+      const listKey = PANEL_KINDS[spec.kind].list;
+      resolveRows(data[listKey], spec.series).missing.forEach(name => missing[listKey].add(name));
+      const panel = await addPanel(spec);
+      const div = document.getElementById(panelChartId(panel));
+      if (yRange && div._fullLayout) await Plotly.relayout(div, { 'yaxis.range': yRange }).catch(() => {});
+    }
+  }
+  return Object.fromEntries(Object.entries(missing).map(([k, names]) => [k, [...names]]));
+}
+
+/**
+ * Rebuild the pathway graph of a view around its root, with the species
+ * that were expanded. Views saved without them plot the list selection.
+ */
+async function restorePathways(saved, missing) {
+  if (!saved || !Array.isArray(saved.root)) { await updatePathwayChart(); return; }
+  const { indices: [root], missing: lacking } = resolveRows(data.species, [saved.root]);
+  const { indices: expanded, missing: lackingExpanded } =
+    resolveRows(data.species, Array.isArray(saved.expanded) ? saved.expanded : []);
+  [...lacking, ...lackingExpanded].forEach(name => missing.species.add(name));
+  if (root) await showPathways(root, expanded);
+}
+
+/**
+ * Views are kept in localStorage, keyed by the fingerprint of their
+ * dataset: { [fingerprint]: { ...view, savedAt } }. Only the MAX_SESSIONS
+ * most recent are kept.
+ */
+function loadSessions() {
+  try {
+    const all = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '{}');
+    return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Identify a dataset by its lists and time span, so reopening the same run
+ * finds its view. A live run grows with every poll: only its lists count.
+ */
+function datasetFingerprint(d) {
+  const lists = [d.species, d.reactions, d.conditions];
+  if (d.live) return hashString(JSON.stringify(lists));
+  const n = d.t.length;
+  return hashString(JSON.stringify([...lists, n, n ? d.t[0] : 0, n ? d.t[n - 1] : 0]));
+}
+
+/** Remember the view of the reference run */
+function saveSession() {
+  if (!data) return;
+  const sessions = loadSessions();
+  sessions[datasetFingerprint(data)] = { ...captureView(), savedAt: Date.now() };
+  const recent = Object.entries(sessions).sort((a, b) => b[1].savedAt - a[1].savedAt).slice(0, MAX_SESSIONS);
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch (_) {}
+}
+
+/** Drop the saved view of a dataset */
+function forgetSession(d) {
+  const sessions = loadSessions();
+  delete sessions[datasetFingerprint(d)];
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions));
+  } catch (_) {}
+}
+
+/** Restore the saved view of a freshly loaded reference run. Returns whether there was one. */
+async function restoreSession() {
+  const view = loadSessions()[datasetFingerprint(data)];
+  if (!view || view.format !== VIEW_FORMAT) return false;
+  await applyView(view);
+  return true;
+}
+
+function saveViewFile() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const json = JSON.stringify(captureView(), null, 2) + '\n';
+  downloadBlob(new Blob([json], { type: 'application/json' }), runs[0].label + '.jsplaskin.json');
+}
+
+/** Apply a .jsplaskin.json view, warning about the series this dataset lacks */
+async function openViewFile(file) {
+  if (!data) { setStatus('Load the dataset before opening a view.'); return; }
+  let view, missing;
+  try {
+    view = JSON.parse(await file.text());
+    if (!view || view.format !== VIEW_FORMAT) throw new Error('not a JSPlaskin view file');
+    missing = await applyView(view);
   } catch (e) {
-    setStatus('Error: ' + e.message);
+    setStatus('Cannot open ' + file.name + ': ' + e.message);
     console.error(e);
-    alert('Failed to load HDF5 file:\n' + e.message);
+    return;
+  }
+  const lacking = Object.entries(missing).filter(([, names]) => names.length);
+  const savedFor = view.dataset && view.dataset.label ? '"' + view.dataset.label + '"' : 'another dataset';
+  if (lacking.length) {
+    alert('This view was saved for ' + savedFor + '. ' + runs[0].label + ' has no\n\n' +
+          lacking.map(([listKey, names]) => listKey + ': ' + names.join(', ')).join('\n') +
+          '\n\nThe view was opened without them.');
+  }
+  const other = view.dataset && view.dataset.fingerprint !== datasetFingerprint(data);
+  setStatus('Opened view ' + file.name +
+            (lacking.length ? '  |  ' + lacking.reduce((n, [, names]) => n + names.length, 0) + ' series missing'
+             : other ? '  |  saved for ' + savedFor : ''));
+}
+
+// ============================================================
+// DATA LOADING
+// ============================================================
+
+async function loadH5File(file) {
+  const opts = startLoading('Loading ' + file.name + '…');
+  try {
+    addRun(await HDF5Data.fromFile(file, opts), file.name.replace(/\.(h5|hdf5)$/i, ''));
+  } catch (e) {
+    reportLoadError(file.name, e);
   } finally {
     hideLoading();
   }
 }
 
-async function loadJSZip() {
-  if (window.JSZip) return window.JSZip;
-  return new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
-    script.onload  = () => resolve(window.JSZip);
-    script.onerror = () => reject(new Error('Failed to load JSZip. Check your internet connection.'));
-    document.head.appendChild(script);
-  });
+async function loadZipFile(file) {
+  const opts = startLoading('Loading ' + file.name + '…');
+  try {
+    addRun(await DirectoryData.fromZip(file, opts), file.name.replace(/\.zip$/i, ''));
+  } catch (e) {
+    reportLoadError(file.name, e);
+  } finally {
+    hideLoading();
+  }
 }
 
-async function loadZipFile(file) {
-  showLoading('Loading ' + file.name + '…');
+async function loadDirectory(fileList) {
+  const opts = startLoading('Loading directory…');
   try {
-    const JSZip = await loadJSZip();
-    const zip   = await JSZip.loadAsync(file);
+    // Label with the folder name when the browser reports one
+    const first = fileList[0];
+    const rel   = first && first.webkitRelativePath;
+    const label = rel && rel.includes('/') ? rel.split('/')[0]
+                : 'Run ' + (appendRuns ? runs.length + 1 : 1);
+    addRun(await DirectoryData.fromFiles(fileList, opts), label);
+  } catch (e) {
+    reportLoadError('directory', e);
+  } finally {
+    hideLoading();
+  }
+}
 
-    // Collect all .txt entries (skip directories)
-    const entries = [];
-    zip.forEach((path, entry) => {
-      if (!entry.dir && /\.txt$/i.test(entry.name)) entries.push(entry);
-    });
+// ============================================================
+// LIVE MONITORING
+// ============================================================
 
-    if (!entries.length) throw new Error('No .txt files found in the ZIP archive.');
+/** Fresh File snapshots of the qt_*.txt files in a directory handle */
+async function readDirectoryHandle(handle) {
+  const files = [];
+  for await (const entry of handle.values()) {
+    if (entry.kind === 'file' && /\.txt$/i.test(entry.name)) files.push(await entry.getFile());
+  }
+  return files;
+}
 
-    // Extract as File objects using the basename so DirectoryData can match by name
-    const files = await Promise.all(entries.map(async entry => {
-      const bytes    = await entry.async('uint8array');
-      const basename = entry.name.split('/').pop();
-      return new File([bytes], basename, { type: 'text/plain' });
-    }));
+async function startMonitor() {
+  if (!window.showDirectoryPicker) {
+    alert('Live monitoring needs a browser that can watch a folder\n' +
+          '(File System Access API, e.g. Chrome or Edge).');
+    return;
+  }
+  let handle;
+  try {
+    handle = await window.showDirectoryPicker();
+  } catch (_) {
+    return; // picker dismissed
+  }
 
-    data = await DirectoryData.fromFiles(files);
-    populateAll();
-    setStatus(
-      'Loaded: ' + file.name +
-      '  |  ' + data.species.length   + ' species' +
-      '  |  ' + data.reactions.length + ' reactions' +
-      '  |  ' + data.t.length         + ' timesteps'
-    );
+  stopMonitor();
+  const opts = startLoading('Loading ' + handle.name + '…');
+  try {
+    const newData = await DirectoryData.fromFiles(await readDirectoryHandle(handle), { ...opts, live: true });
+    addRun(newData, handle.name);
+    monitor = { data: newData, handle, timer: setInterval(pollMonitor, MONITOR_INTERVAL), busy: false };
+    document.getElementById('menu-monitor').classList.add('checked');
+    setStatus('Monitoring ' + handle.name + '  |  ' + newData.t.length + ' timesteps');
   } catch (e) {
-    setStatus('Error: ' + e.message);
-    console.error(e);
-    alert('Failed to load ZIP file:\n' + e.message);
+    reportLoadError(handle.name, e);
   } finally {
     hideLoading();
   }
 }
 
-async function loadDirectory(fileList) {
-  showLoading('Loading directory…');
+function stopMonitor() {
+  if (!monitor) return;
+  clearInterval(monitor.timer);
+  monitor = null;
+  document.getElementById('menu-monitor').classList.remove('checked');
+}
+
+async function pollMonitor() {
+  if (!monitor || monitor.busy) return;
+  // The monitored run may have been removed or replaced in the meantime
+  if (!runs.some(r => r.data === monitor.data)) { stopMonitor(); return; }
+
+  const m = monitor;
+  m.busy = true;
   try {
-    data = await DirectoryData.fromFiles(fileList);
-    populateAll();
-    setStatus(
-      'Loaded directory' +
-      '  |  ' + data.species.length + ' species' +
-      '  |  ' + data.reactions.length + ' reactions' +
-      '  |  ' + data.t.length + ' timesteps'
-    );
+    const added = await m.data.update(await readDirectoryHandle(m.handle));
+    if (added) {
+      replotAll();
+      refreshDiagnostics();
+      setStatus('Monitoring ' + m.handle.name + '  |  ' + m.data.t.length + ' timesteps' +
+                '  |  last t = ' + fmtTime(m.data.t[m.data.t.length - 1]));
+    }
   } catch (e) {
-    setStatus('Error: ' + e.message);
+    stopMonitor();
+    setStatus('Monitoring stopped: ' + e.message);
     console.error(e);
-    alert('Failed to load directory:\n' + e.message);
   } finally {
-    hideLoading();
+    m.busy = false;
   }
 }
 
@@ -282,6 +1081,13 @@ const PLOTLY_LAYOUT_DEFAULTS = {
   hoverlabel: { namelength: -1 },
 };
 
+// Long lines are drawn reduced to the chart's width (see downsample.js) and
+// recomputed from the full series when the visible range changes; charts
+// still drawing many points switch to WebGL
+const DOWNSAMPLE_MIN = 5000;   // points in a line before it is reduced
+const WEBGL_POINTS   = 100000; // points drawn in a chart before it uses scattergl
+const fullResolution = new WeakMap(); // trace -> { x, y } as built, before reduction
+
 function xAxisLayout() {
   const th = chartTheme();
   const cfg = {
@@ -302,6 +1108,18 @@ function xAxisLayout() {
   return cfg;
 }
 
+/** The shared x-range as a time window [t0, t1] in seconds, or null when autoranged */
+function visibleTimeWindow() {
+  if (!sharedXRange) return null;
+  return logTimeScale ? sharedXRange.map(v => Math.pow(10, v)) : sharedXRange.slice();
+}
+
+/** Middle of the time range shown in the charts (geometric on a log axis) [s] */
+function visibleMidTime() {
+  const [t0, t1] = visibleTimeWindow() || [data.t[0], data.t[data.t.length - 1]];
+  return logTimeScale && t0 > 0 ? Math.sqrt(t0 * t1) : (t0 + t1) / 2;
+}
+
 function yAxisLayout(title = '', scale = 'log') {
   const th = chartTheme();
   return {
@@ -335,6 +1153,7 @@ function baseLayout(yTitle = '', yScale = 'log', margin = null) {
       borderwidth: 1,
     },
     showlegend: true,
+    shapes: markerShapes(),
     plot_bgcolor:  th.plot,
     paper_bgcolor: th.paper,
     autosize: true,
@@ -345,7 +1164,7 @@ function baseLayout(yTitle = '', yScale = 'log', margin = null) {
 /**
  * Build a Plotly trace from parallel time/value arrays, applying a filter.
  */
-function makeTrace(t, y, label, color, threshold = null) {
+function makeTrace(t, y, label, color, threshold = null, dash = 'solid') {
   const tF = [], yF = [];
   for (let i = 0; i < t.length; i++) {
     const v = y[i];
@@ -358,7 +1177,7 @@ function makeTrace(t, y, label, color, threshold = null) {
     x: tF, y: yF,
     mode: 'lines',
     name: label,
-    line: { color, width: LINE_WIDTH },
+    line: { color, width: LINE_WIDTH, dash },
     type: 'scatter',
   };
 }
@@ -392,187 +1211,1740 @@ function registerSync(divId) {
             : { 'xaxis.autorange': true }
           ).catch(() => {});
         })
-    ).then(() => { isSyncing = false; });
+    ).then(() => {
+      isSyncing = false;
+      refitCharts();
+      // A ranking over the visible range changes with it
+      if (document.getElementById('src-rank').value === 'visible' &&
+          document.getElementById('creation-chart')._fullLayout) updateSourceChart();
+    });
+  });
+
+  // Clicking a time lists every value at that time
+  div.on('plotly_click', (ev) => {
+    const p = ev.points && ev.points[0];
+    if (p && typeof p.x === 'number') openSnapshot(p.x);
+  });
+
+  // Legend entries of reaction traces open the reaction's detail
+  div.on('plotly_legendclick', (ev) => {
+    const meta = ev.data[ev.curveNumber].meta;
+    if (!meta || !meta.reaction) return true;
+    openReactionDetail(meta.reaction);
+    return false;
   });
 }
 
-async function renderChart(divId, traces, layout) {
-  const div = document.getElementById(divId);
-  div._syncRegistered = false; // re-register after each full re-render
-  await Plotly.react(div, traces, { ...PLOTLY_LAYOUT_DEFAULTS, ...layout }, PLOTLY_CFG);
-  registerSync(divId);
+/**
+ * Reduce the long lines of a chart to the visible range at its pixel
+ * width, and pick SVG or WebGL by the number of points left. Stacked
+ * areas are left alone: their traces must share their x values.
+ */
+function fitTraces(div, traces) {
+  const win = visibleTimeWindow();
+  const buckets = Math.max(div.clientWidth || 0, 1000);
+  const lines = traces.filter(tr => (tr.type === 'scatter' || tr.type === 'scattergl') && !tr.stackgroup);
+  for (const tr of lines) {
+    if (!fullResolution.has(tr)) {
+      if (tr.x.length <= DOWNSAMPLE_MIN) continue;
+      fullResolution.set(tr, { x: tr.x, y: tr.y });
+    }
+    const full = fullResolution.get(tr);
+    Object.assign(tr, downsampleM4(full.x, full.y, win ? win[0] : null, win ? win[1] : null, buckets, logTimeScale));
+  }
+  const points = lines.reduce((sum, tr) => sum + tr.x.length, 0);
+  for (const tr of lines) tr.type = points > WEBGL_POINTS ? 'scattergl' : 'scatter';
 }
 
-// ============================================================
+/** Re-fit the reduced lines of every time chart after the visible range changed */
+function refitCharts() {
+  for (const id of chartIds) {
+    const div = document.getElementById(id);
+    if (!div || !div._fullLayout || !div.data.some(tr => fullResolution.has(tr))) continue;
+    fitTraces(div, div.data);
+    // The traces are updated in place: a new datarevision makes react redraw them
+    Plotly.react(div, div.data, { ...div.layout, datarevision: Date.now() }, PLOTLY_CFG).catch(() => {});
+  }
+}
+
+async function renderChart(divId, traces, layout) {
+  const div = document.getElementById(divId);
+  // Plotly.purge drops the event handlers; re-register only on a fresh div so
+  // that repeated renders (e.g. of a live run) don't stack handlers
+  if (!div._fullLayout) div._syncRegistered = false;
+  fitTraces(div, traces);
+  await Plotly.react(div, traces, {
+    ...PLOTLY_LAYOUT_DEFAULTS, ...layout,
+    annotations: featureAnnotations(divId, layout.yaxis.type),
+  }, PLOTLY_CFG);
+  registerSync(divId);
+  // Datasets read on demand may have brought new validation issues
+  refreshDiagnostics();
+}
+
+// ============================================================
+// CONSERVATION
+// ============================================================
+
+/** Composition and charge read from a species name, as shown in the Conservation list */
+function describeSpecies(p) {
+  if (!p) return '?';
+  if (p.electron) return 'electron';
+  const formula = [...p.elements].map(([el, n]) => el + (n > 1 ? n : '')).join(' ');
+  return formula + (p.charge ? '  ' + (p.charge > 0 ? '+' : '') + p.charge : '');
+}
+
+function populateConservationTable() {
+  const tbody = document.querySelector('#cons-table tbody');
+  tbody.innerHTML = '';
+  data.species.forEach((name, i) => {
+    const p = parseSpecies(name);
+    const tr = document.createElement('tr');
+    if (!p) tr.className = 'unparsed';
+    tr.title = p ? '' : 'Not recognised: left out of the totals';
+    tr.innerHTML = '<td>' + (i + 1) + '</td><td>' + escHtml(name) + '</td><td>' + escHtml(describeSpecies(p)) + '</td>';
+    tbody.appendChild(tr);
+  });
+}
+
+/**
+ * Plot charge totals (ions, electrons, |net charge|) and element totals
+ * from the composition read from the species names, for every run. The
+ * densities are added up in batches that fit the cache.
+ */
+async function updateConservationCharts() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const relative = document.getElementById('cons-elements').value === 'relative';
+
+  const colors = new Map();
+  const cc = colorCycler();
+  const colorOf = label => colors.get(label) || colors.set(label, cc()).get(label);
+
+  const chargeTraces = [], elementTraces = [];
+  const unparsed = [];
+  for (const run of runs) {
+    const { species, t } = run.data;
+    const parsed = species.map(parseSpecies);
+    if (run === runs[0]) parsed.forEach((p, i) => { if (!p) unparsed.push(species[i]); });
+    let totals = conservationTotals([], [], t.length);
+    try {
+      for (const keys of run.data.seriesBatches(species.map((_, i) => i + 1))) {
+        totals = await run.data.withSeries({ density: keys }, () => conservationTotals(
+          keys.map(k => parsed[k - 1]), keys.map(k => run.data.density(k)), t.length, totals));
+      }
+    } catch (e) {
+      ['charge-chart', 'element-chart'].forEach(id => Plotly.purge(document.getElementById(id)));
+      setStatus('Cannot read the densities' + (runs.length > 1 ? ' of ' + run.label : '') + ': ' + e.message);
+      refreshDiagnostics();
+      return;
+    }
+
+    for (const [label, y] of [
+      ['Positive ions', totals.positive],
+      ['Negative ions', totals.negative],
+      ['Electrons',     totals.electrons],
+      ['|Net charge|',  totals.netCharge.map(Math.abs)],
+    ]) {
+      chargeTraces.push(makeTrace(t, y, runLabel(label, run), colorOf(label), DENS_THRESHOLD, run.dash));
+    }
+
+    for (const symbol of [...totals.elements.keys()].sort()) {
+      let y = totals.elements.get(symbol);
+      if (relative) { const y0 = y[0]; y = y.map(v => v / y0 - 1); }
+      elementTraces.push(makeTrace(t, y, runLabel(symbol, run), colorOf(symbol), relative ? null : DENS_THRESHOLD, run.dash));
+    }
+  }
+
+  const titleFont = { size: 13, color: chartTheme().titleColor };
+  await Promise.all([
+    renderChart('charge-chart', chargeTraces, {
+      ...baseLayout('Density [cm⁻³]', 'log', { l: 70, r: 180, t: 30, b: 40 }),
+      title: { text: 'Charge', font: titleFont },
+    }),
+    renderChart('element-chart', elementTraces, {
+      ...baseLayout(relative ? 'Change from t = 0' : 'Atom density [cm⁻³]', relative ? 'linear' : 'log',
+                    { l: 70, r: 180, t: 30, b: 50 }),
+      title: { text: 'Elements', font: titleFont },
+    }),
+  ]);
+  await alignMargins('charge-chart', 'element-chart');
+
+  setStatus(unparsed.length
+    ? 'Not recognised, left out of the totals: ' + unparsed.join(', ')
+    : 'Conservation totals over ' + data.species.length + ' species');
+}
+
+// ============================================================
 // CHART UPDATE FUNCTIONS
 // ============================================================
 
-async function updateCondChart() {
-  if (!data) { setStatus('No data loaded.'); return; }
-  const sel = getSelected('cond-table');
-  if (!sel.length) { setStatus('Select at least one condition.'); return; }
+/** A chart's series could not be read: clear what it showed and say why */
+function chartReadFailed(ids, what, e) {
+  ids.forEach(id => Plotly.purge(document.getElementById(id)));
+  setStatus('Cannot read ' + what + ': ' + e.message);
+  refreshDiagnostics();
+}
+
+/**
+ * Match each selected series in every run and preload what is needed.
+ * Returns [{ item, matches: [{ run, index }] }].
+ */
+async function matchAndPreload(sel, kind) {
+  const listKey = { condition: 'conditions', density: 'species', rate: 'reactions' }[kind];
+  const matched = sel.map(item => ({ item, matches: matchRuns(listKey, item.name, item.index) }));
+  await Promise.all(runs.map(run => run.data.preload(kind,
+    matched.flatMap(({ matches }) => matches.filter(m => m.run === run).map(m => m.index))
+  )));
+  return matched;
+}
+
+/**
+ * Values of each selected series (native or derived) in every run.
+ * Returns [{ item, values: [{ run, y }] }] in selection order.
+ */
+async function seriesValues(sel, kind) {
+  const native = new Map((await matchAndPreload(sel.filter(item => !item.derived), kind)).map(({ item, matches }) =>
+    [item, matches.map(({ run, index }) => ({ run, y: run.data[kind](index) }))]
+  ));
+  const out = [];
+  for (const item of sel) {
+    out.push({ item, values: item.derived ? await derivedValues(item.derived) : native.get(item) });
+  }
+  return out;
+}
+
+/**
+ * Build one trace per (selected series × run), matching series by name.
+ * Colours follow the series, dashes follow the run.
+ * kind: 'condition' | 'density' | 'rate'
+ */
+async function seriesTraces(sel, kind, labelFn, threshold) {
+  const cc = colorCycler();
+  const traces = [];
+  for (const { item, values } of await seriesValues(sel, kind)) {
+    const color = cc();
+    const label = item.derived ? item.derived.name : labelFn(item);
+    for (const { run, y } of values) {
+      if (!y) continue;
+      traces.push(makeTrace(run.data.t, y, runLabel(label, run), color, threshold, run.dash));
+    }
+  }
+  return traces;
+}
+
+async function updateCondChart() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const sel = getSelected('cond-table');
+  if (!sel.length) { setStatus('Select at least one condition.'); return; }
+
+  let traces;
+  try {
+    traces = await seriesTraces(sel, 'condition', ({ name }) => CONDITIONS_PRETTY[name] || name, null);
+  } catch (e) {
+    chartReadFailed(['cond-chart'], 'the conditions', e);
+    return;
+  }
+
+  const layout = baseLayout('', 'linear');
+  await renderChart('cond-chart', traces, layout);
+}
+
+async function updateDensChart() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const sel = getSelected('spec-table');
+  if (!sel.length) { setStatus('Select at least one species.'); return; }
+
+  const mode = document.getElementById('dens-mode').value;
+  if (mode !== 'density') { await updateTimescaleChart(sel, mode); return; }
+
+  let traces;
+  try {
+    traces = await seriesTraces(sel, 'density', ({ name }) => name, DENS_THRESHOLD);
+  } catch (e) {
+    chartReadFailed(['dens-chart'], 'the densities', e);
+    return;
+  }
+
+  const layout = baseLayout('Density [cm⁻³]', 'log');
+  await renderChart('dens-chart', traces, layout);
+}
+
+/** Loss (n/L) or production (n/P) timescale of the selected species; mode: 'loss' | 'production' */
+async function updateTimescaleChart(sel, mode) {
+  const species = sel.filter(item => !item.derived);
+  if (!species.length) { setStatus('Timescales are only available for species.'); return; }
+
+  const cc = colorCycler();
+  const traces = [];
+  try {
+    for (const item of species) {
+      const color = cc();
+      for (const { run, index } of matchRuns('species', item.name, item.index)) {
+        const tau = await run.data.withSources(index, () => timescales(run.data.sources(index), run.data.density(index))[mode]);
+        traces.push(makeTrace(run.data.t, tau, runLabel(item.name, run), color, 0, run.dash));
+      }
+    }
+  } catch (e) {
+    chartReadFailed(['dens-chart'], 'the densities and rates', e);
+    return;
+  }
+  const yTitle = mode === 'loss' ? 'Loss timescale n/L [s]' : 'Production timescale n/P [s]';
+  await renderChart('dens-chart', traces, baseLayout(yTitle, 'log'));
+  if (species.length < sel.length) setStatus('Derived series have no timescale and are left out');
+}
+
+async function updateReactChart() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const sel = getSelected('react-table');
+  if (!sel.length) { setStatus('Select at least one reaction.'); return; }
+
+  let traces;
+  try {
+    traces = await seriesTraces(sel, 'rate', ({ index, name }) => '[' + index + '] ' + name, RATE_THRESHOLD);
+  } catch (e) {
+    chartReadFailed(['react-chart'], 'the rates', e);
+    return;
+  }
+
+  const layout = baseLayout('Rate [cm⁻³ s⁻¹]', 'log');
+  await renderChart('react-chart', traces, layout);
+}
+
+async function updateSourceChart() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const sel = getSelected('src-table');
+  if (!sel.length) { setStatus('Select a species.'); return; }
+
+  const { index: spIdx, name: spName } = sel[0];
+  const ranking = rankingSettings();
+  if (!ranking) return;
+
+  let sourcesDict;
+  try {
+    await data.preloadSources(spIdx);
+    sourcesDict = data.sources(spIdx);
+  } catch (e) {
+    chartReadFailed(['creation-chart', 'removal-chart'], 'the rates of ' + spName, e);
+    return;
+  }
+  if (!Object.keys(sourcesDict).length) {
+    setStatus('No reactions affect ' + spName + ' (check source matrix).');
+    return;
+  }
+
+  // Separate creation/removal using weighted rates
+  const { creation, removal } = splitSources(sourcesDict);
+  const { delta, max, min, score } = ranking;
+  const filtCreation = filterRates(creation.weighted, creation.ids, delta, max, min, score);
+  const filtRemoval  = filterRates(removal.weighted,  removal.ids,  delta, max, min, score);
+
+  const cc = colorCycler();
+  const shares = document.getElementById('src-mode').value === 'shares';
+
+  // Plot creation
+  let creationTraces, removalTraces;
+  try {
+    creationTraces = shares ? shareTraces(creation, filtCreation, cc) : await buildReactionTraces(filtCreation, cc);
+    removalTraces  = shares ? shareTraces(removal,  filtRemoval,  cc) : await buildReactionTraces(filtRemoval,  cc);
+  } catch (e) {
+    chartReadFailed(['creation-chart', 'removal-chart'], 'the rates of ' + spName, e);
+    return;
+  }
+
+  const titleFont = { size: 13, color: chartTheme().titleColor };
+  const layout = (title, yTitle, margin) => {
+    const l = { ...baseLayout(shares ? yTitle : 'Rate [cm⁻³ s⁻¹]', shares ? 'linear' : 'log', margin),
+                title: { text: spName + '  –  ' + title, font: titleFont } };
+    if (shares) l.yaxis = { ...l.yaxis, autorange: false, range: [0, 100] };
+    return l;
+  };
+  const createLayout = layout('Creation', 'Share of production [%]', { l: 70, r: 180, t: 30, b: 40 });
+  const removeLayout = layout('Removal',  'Share of loss [%]',       { l: 70, r: 180, t: 30, b: 50 });
+
+  await Promise.all([
+    renderChart('creation-chart', creationTraces, createLayout),
+    renderChart('removal-chart',  removalTraces,  removeLayout),
+  ]);
+
+  await alignMargins('creation-chart', 'removal-chart');
+  if (shares && runs.length > 1) setStatus('Shares are shown for ' + runs[0].label + ' only');
+}
+
+/**
+ * Read the Sensitivity ranking controls: threshold, reaction counts and
+ * the score reactions are ranked by. Returns null after reporting an
+ * invalid value.
+ */
+function rankingSettings() {
+  const delta = parseFloat(document.getElementById('src-filter').value);
+  const max = parseInt(document.getElementById('src-max').value);
+  const min = parseInt(document.getElementById('src-min').value);
+  if (!(delta >= 0 && delta <= 1)) { setStatus('The filter threshold must be between 0 and 1.'); return null; }
+  if (!(max >= 1) || !(min >= 0)) { setStatus('Enter how many reactions to show (max ≥ 1, min ≥ 0).'); return null; }
+
+  const { t } = data;
+  const win = visibleTimeWindow();
+  const scores = {
+    peak:     arrMax,
+    integral: y => integrate(t, y),
+    visible:  win ? y => rangeMax(t, y, win[0], win[1]) : arrMax,
+  };
+  return { delta, max, min, score: scores[document.getElementById('src-rank').value] };
+}
+
+/**
+ * Stacked area traces of each reaction's share of the total (weighted
+ * rates of the reference run), with the reactions not in rxnIds lumped
+ * into "other".
+ */
+function shareTraces(side, rxnIds, colorFn) {
+  const n = data.t.length;
+  const { shares, other } = reactionShares(side, rxnIds, n);
+  const area = (y, name, color, reaction = null) => ({
+    x: data.t, y, name, meta: { reaction },
+    type: 'scatter', mode: 'lines', stackgroup: 'share',
+    line: { color, width: 0.5 }, fillcolor: color,
+    hovertemplate: '%{y:.1f} %<extra>%{fullData.name}</extra>',
+  });
+  const traces = rxnIds.map(rId => area(shares[rId], '[' + rId + '] ' + (data.reactions[rId - 1] || '?'), colorFn(), rId));
+  if (side.ids.length > rxnIds.length) traces.push(area(other, 'other', OTHER_COLOR));
+  return traces;
+}
+
+/**
+ * Synchronise the margins of two stacked charts so their y-axes line up exactly.
+ * _size holds the actual computed margins after Plotly's auto-adjustment.
+ */
+async function alignMargins(id1, id2) {
+  const d1 = document.getElementById(id1);
+  const d2 = document.getElementById(id2);
+  if (d1._fullLayout && d2._fullLayout) {
+    const l = Math.max(d1._fullLayout._size.l, d2._fullLayout._size.l);
+    const r = Math.max(d1._fullLayout._size.r, d2._fullLayout._size.r);
+    await Promise.all([
+      Plotly.relayout(d1, { 'margin.l': l, 'margin.r': r }),
+      Plotly.relayout(d2, { 'margin.l': l, 'margin.r': r }),
+    ]);
+  }
+}
+
+/**
+ * Build traces using actual (raw) reaction rates, not weighted.
+ * Reactions are ranked on the reference run and overlaid from every
+ * run that has a reaction with the same label.
+ */
+async function buildReactionTraces(rxnIds, colorFn) {
+  const sel = rxnIds.map(rId => ({ index: rId, name: data.reactions[rId - 1] || '?' }));
+  const traces = [];
+  for (const { item: { index, name }, matches } of await matchAndPreload(sel, 'rate')) {
+    const color = colorFn();
+    for (const m of matches) {
+      const y = m.run.data.rate(m.index);
+      if (!y) continue;
+      const label = runLabel('[' + index + '] ' + name, m.run);
+      traces.push({ ...makeTrace(m.run.data.t, y, label, color, RATE_THRESHOLD, m.run.dash), meta: { reaction: index } });
+    }
+  }
+  return traces;
+}
+
+// Chart -> function that plots it from its tab's controls
+const CHART_UPDATERS = {
+  'cond-chart':     updateCondChart,
+  'dens-chart':     updateDensChart,
+  'react-chart':    updateReactChart,
+  'creation-chart': updateSourceChart,
+  'charge-chart':   updateConservationCharts,
+  'pathway-chart':  renderPathways,
+};
+
+/** Re-render every chart that currently shows something (e.g. after a run is added) */
+function replotAll() {
+  for (const [id, fn] of Object.entries(CHART_UPDATERS)) {
+    const div = document.getElementById(id);
+    if (div && div._fullLayout) fn();
+  }
+  if (dashboard.some(p => document.getElementById(panelChartId(p))._fullLayout)) plotDashboard();
+}
+
+// ============================================================
+// DERIVED SERIES
+// ============================================================
+
+/** Definitions are kept for the browser session (they survive reloads, not tabs) */
+function loadDerivedSeries() {
+  try {
+    const list = JSON.parse(sessionStorage.getItem(DERIVED_STORAGE_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(d => d && d.name && d.expr && DERIVED_TABLES[d.table]) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveDerivedSeries() {
+  try {
+    sessionStorage.setItem(DERIVED_STORAGE_KEY, JSON.stringify(derivedSeries));
+  } catch (_) {}
+}
+
+/**
+ * Evaluate a derived series in every run, resolving its names in each.
+ * Returns [{ run, y }]; runs where it can't be evaluated are skipped and
+ * reported in the status bar.
+ */
+async function derivedValues(def) {
+  const out = [];
+  for (const run of runs) {
+    let bound;
+    try {
+      bound = bindExpression(parseExpression(def.expr), run.data);
+    } catch (e) {
+      setStatus(def.name + (runs.length > 1 ? ' (' + run.label + ')' : '') + ': ' + e.message);
+      continue;
+    }
+    out.push({ run, y: await run.data.withSeries(bound.needs, () => bound.evaluate((kind, key) => run.data[kind](key), run.data.t)) });
+  }
+  return out;
+}
+
+/**
+ * Append the derived series to their tables, after the native rows.
+ * `selected`: definitions whose rows should come back selected.
+ */
+function renderDerivedRows(selected = new Set()) {
+  document.querySelectorAll('.data-list tr.derived').forEach(tr => tr.remove());
+  if (!data) return;
+  derivedSeries.forEach((def, i) => {
+    const tbody = document.querySelector('#' + def.table + ' tbody');
+    if (!tbody) return;
+    const tr = document.createElement('tr');
+    tr.className = 'derived' + (selected.has(def) ? ' selected' : '');
+    tr.innerHTML = '<td>ƒ</td><td>' + escHtml(def.name) + '</td>';
+    tr.title = def.expr;
+    tr.dataset.derived = i;
+    tbody.appendChild(tr);
+  });
+  applyListFilters();
+}
+
+/** Apply a change to the definitions, keeping their rows' selection, and replot */
+function updateDerivedSeries(change) {
+  const selected = new Set(Array.from(document.querySelectorAll('.data-list tr.derived.selected'))
+    .map(tr => derivedSeries[parseInt(tr.dataset.derived)]));
+  change();
+  saveDerivedSeries();
+  renderDerivedRows(selected);
+  renderDerivedList();
+  replotAll();
+}
+
+function openDerivedEditor() {
+  editDerived(null);
+  document.getElementById('derived-dialog').classList.remove('hidden');
+  document.getElementById('derived-name').focus();
+}
+
+function closeDerivedEditor() {
+  document.getElementById('derived-dialog').classList.add('hidden');
+}
+
+function renderDerivedList() {
+  const tbody = document.querySelector('#derived-list tbody');
+  tbody.innerHTML = '';
+  derivedSeries.forEach(def => {
+    const tr = document.createElement('tr');
+    if (def === derivedEditing) tr.className = 'editing';
+    tr.innerHTML = '<td>' + escHtml(def.name) + '</td>' +
+                   '<td class="mono">' + escHtml(def.expr) + '</td>' +
+                   '<td>' + DERIVED_TABLES[def.table] + '</td>' +
+                   '<td><button data-act="edit" title="Edit">Edit</button>' +
+                   '<button data-act="delete" title="Delete">×</button></td>';
+    tr.querySelector('[data-act="edit"]').addEventListener('click', () => editDerived(def));
+    tr.querySelector('[data-act="delete"]').addEventListener('click', () => updateDerivedSeries(() => {
+      derivedSeries = derivedSeries.filter(d => d !== def);
+      if (derivedEditing === def) editDerived(null);
+    }));
+    tbody.appendChild(tr);
+  });
+}
+
+/** Fill the form with a definition, or clear it for a new one */
+function editDerived(def) {
+  derivedEditing = def;
+  document.getElementById('derived-name').value  = def ? def.name : '';
+  document.getElementById('derived-expr').value  = def ? def.expr : '';
+  document.getElementById('derived-table').value = def ? def.table : 'spec-table';
+  document.getElementById('derived-save').textContent = def ? 'Update' : 'Add';
+  showDerivedMessage('');
+  renderDerivedList();
+}
+
+function showDerivedMessage(text, isError = false) {
+  const el = document.getElementById('derived-msg');
+  el.textContent = text;
+  el.classList.toggle('error', isError);
+}
+
+/** Throws if `expr` is invalid or, with data loaded, names something the reference run lacks */
+function checkExpression(expr) {
+  const tree = parseExpression(expr);
+  if (data) bindExpression(tree, data);
+}
+
+/**
+ * Check the form: the syntax always, the names against the reference run
+ * when one is loaded. Returns the definition, or null after reporting why not.
+ */
+function checkDerivedForm() {
+  const name  = document.getElementById('derived-name').value.trim();
+  const expr  = document.getElementById('derived-expr').value.trim();
+  const table = document.getElementById('derived-table').value;
+  if (!name) { showDerivedMessage('Give the series a name.', true); return null; }
+  if (derivedSeries.some(d => d !== derivedEditing && d.name === name)) {
+    showDerivedMessage('There is already a derived series called "' + name + '".', true);
+    return null;
+  }
+  try {
+    checkExpression(expr);
+  } catch (e) {
+    showDerivedMessage(e.message, true);
+    return null;
+  }
+  return { name, expr, table };
+}
+
+/** Check the expression as it is typed */
+function previewDerived() {
+  const expr = document.getElementById('derived-expr').value.trim();
+  if (!expr) { showDerivedMessage(''); return; }
+  try {
+    checkExpression(expr);
+    showDerivedMessage('OK');
+  } catch (e) {
+    showDerivedMessage(e.message, true);
+  }
+}
+
+function saveDerivedForm() {
+  const def = checkDerivedForm();
+  if (!def) return;
+  updateDerivedSeries(() => {
+    if (derivedEditing) Object.assign(derivedEditing, def);
+    else derivedSeries.push(def);
+  });
+  editDerived(null);
+  showDerivedMessage('Saved "' + def.name + '". Select it in the ' + DERIVED_TABLES[def.table] + ' list to plot it.');
+}
+
+// ============================================================
+// PRODUCTION / LOSS BUDGET
+// ============================================================
+
+const BUDGET_BARS = 12; // reactions per side in the bar chart
+
+function openBudgetDialog() {
+  if (!data) { setStatus('No data loaded.'); return; }
+
+  // Species of the reference run; start from the Sensitivity selection
+  const spSelect = document.getElementById('budget-species');
+  const current = getSelected('src-table')[0];
+  spSelect.innerHTML = data.species.map((name, i) =>
+    '<option value="' + (i + 1) + '">' + escHtml(name) + '</option>').join('');
+  if (current) spSelect.value = current.index;
+
+  const runSelect = document.getElementById('budget-run');
+  runSelect.innerHTML = runs.map((run, i) => '<option value="' + i + '">' + escHtml(run.label) + '</option>').join('');
+  document.querySelectorAll('#budget-dialog .multi-run').forEach(el => el.classList.toggle('hidden', runs.length < 2));
+
+  setBudgetWindow(visibleTimeWindow());
+  document.getElementById('budget-dialog').classList.remove('hidden');
+  computeBudget();
+}
+
+function closeBudgetDialog() {
+  document.getElementById('budget-dialog').classList.add('hidden');
+}
+
+/** Fill the window inputs; null means the whole run */
+function setBudgetWindow(win) {
+  const t = data.t;
+  const [t0, t1] = win || [t[0], t[t.length - 1]];
+  document.getElementById('budget-t0').value = +t0.toPrecision(6);
+  document.getElementById('budget-t1').value = +t1.toPrecision(6);
+}
+
+async function computeBudget() {
+  const request = ++budgetRequest;
+  const refIndex = parseInt(document.getElementById('budget-species').value);
+  const name = data.species[refIndex - 1];
+  const run  = runs[parseInt(document.getElementById('budget-run').value) || 0];
+  const t0 = parseFloat(document.getElementById('budget-t0').value);
+  const t1 = parseFloat(document.getElementById('budget-t1').value);
+  const summary = document.getElementById('budget-summary');
+  summary.classList.remove('error');
+  const fail = msg => {
+    budget = null;
+    summary.textContent = msg;
+    summary.classList.add('error');
+    document.querySelector('#budget-table tbody').innerHTML = '';
+    Plotly.purge(document.getElementById('budget-chart'));
+  };
+  if (!(t1 > t0)) { fail('The end of the window must be after its start.'); return; }
+
+  const match = matchRuns('species', name, refIndex).find(m => m.run === run);
+  if (!match) { fail(name + ' is not a species of ' + run.label + '.'); return; }
+  const spIdx = match.index;
+
+  let sourcesDict, density;
+  try {
+    [sourcesDict, density] = await run.data.withSources(spIdx, () => [run.data.sources(spIdx), run.data.density(spIdx)]);
+  } catch (e) {
+    if (request === budgetRequest) fail('Cannot read ' + name + ': ' + e.message);
+    return;
+  }
+  // A newer request was made while this one was reading
+  if (request !== budgetRequest) return;
+  if (!Object.keys(sourcesDict).length) { fail('No reactions affect ' + name + ' (check source matrix).'); return; }
+
+  const { t } = run.data;
+  budget = {
+    run, name, t0, t1,
+    ...sourceBudget(sourcesDict, t, t0, t1),
+    change: interpolate(t, density, t1) - interpolate(t, density, t0),
+  };
+  renderBudget();
+}
+
+function renderBudget() {
+  const { run, name, t0, t1, production, loss, change } = budget;
+  const fmt = v => v.toExponential(3);
+  const label = id => '[' + id + '] ' + run.data.reactions[id - 1];
+
+  document.getElementById('budget-summary').textContent =
+    name + (runs.length > 1 ? ' in ' + run.label : '') + ', ' + fmtTime(t0) + ' – ' + fmtTime(t1) + ':  ' +
+    'production ' + fmt(production.total) + ', loss ' + fmt(loss.total) +
+    ', net ' + fmt(production.total - loss.total) + ' cm⁻³  (density change ' + fmt(change) + ' cm⁻³)';
+
+  const rows = [
+    ...production.rows.map((r, i) => ({ ...r, rank: i + 1, type: 'production' })),
+    ...loss.rows.map((r, i) => ({ ...r, rank: i + 1, type: 'loss' })),
+  ];
+  document.querySelector('#budget-table tbody').innerHTML = rows.map(r =>
+    '<tr><td class="num">' + r.rank + '</td><td>' + escHtml(label(r.id)) + '</td>' +
+    '<td class="budget-' + r.type + '">' + (r.type === 'production' ? 'Production' : 'Loss') + '</td>' +
+    '<td class="num">' + fmt(r.amount) + '</td><td class="num">' + r.percent.toFixed(1) + ' %</td></tr>'
+  ).join('');
+
+  // Diverging bars: production to the right, loss to the left, largest on top
+  const top = side => side.rows.slice(0, BUDGET_BARS);
+  const short = id => { const s = label(id); return s.length > 48 ? s.slice(0, 47) + '…' : s; };
+  const categories = [...new Set([...top(production), ...top(loss)].map(r => short(r.id)))];
+  const th = chartTheme();
+  const bars = (side, sign, color, title) => ({
+    type: 'bar', orientation: 'h', name: title,
+    x: top(side).map(r => sign * r.percent),
+    y: top(side).map(r => short(r.id)),
+    customdata: top(side).map(r => [r.amount, r.percent]),
+    hovertemplate: '%{y}<br>%{customdata[0]:.3e} cm⁻³ (%{customdata[1]:.1f} %)<extra></extra>',
+    marker: { color },
+  });
+  Plotly.react(document.getElementById('budget-chart'), [
+    bars(production, 1, COLOR_SERIES[0], 'Production'),
+    bars(loss, -1, COLOR_SERIES[1], 'Loss'),
+  ], {
+    barmode: 'relative',
+    margin: { l: 20, r: 20, t: 10, b: 40 },
+    xaxis: { title: { text: '% of total loss  |  % of total production', font: { size: 11 } },
+             gridcolor: th.grid, zerolinecolor: th.lineColor, color: th.axisColor, range: [-100, 100] },
+    yaxis: { automargin: true, autorange: 'reversed', categoryorder: 'array', categoryarray: categories,
+             color: th.axisColor, tickfont: { size: 10 } },
+    showlegend: false,
+    plot_bgcolor: th.plot, paper_bgcolor: th.paper,
+    font: { color: th.fontColor, size: 11 },
+  }, PLOTLY_CFG);
+}
+
+function exportBudget() {
+  if (!budget) { setStatus('Compute a budget first.'); return; }
+  const { run, name, t0, t1, production, loss } = budget;
+  const lines = [['type', 'rank', 'reaction_index', 'reaction', 'integral_cm-3', 'percent'].join(',')];
+  for (const [type, side] of [['production', production], ['loss', loss]]) {
+    side.rows.forEach((r, i) => lines.push(
+      [type, i + 1, r.id, run.data.reactions[r.id - 1], r.amount, r.percent].map(csvEscape).join(',')));
+  }
+  const safe = name.replace(/[^\w.-]+/g, '_');
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }),
+               'budget_' + safe + '_' + t0 + '-' + t1 + '.csv');
+}
+
+// ============================================================
+// SPECIES BALANCE
+// ============================================================
+
+const BALANCE_FLAG = 0.05; // mean relative residual above which a species is flagged
+
+function openBalanceDialog() {
+  if (!data) { setStatus('No data loaded.'); return; }
+
+  const spSelect = document.getElementById('balance-species');
+  const current = getSelected('src-table')[0];
+  spSelect.innerHTML = data.species.map((name, i) =>
+    '<option value="' + (i + 1) + '">' + escHtml(name) + '</option>').join('');
+  if (current) spSelect.value = current.index;
+
+  const runSelect = document.getElementById('balance-run');
+  runSelect.innerHTML = runs.map((run, i) => '<option value="' + i + '">' + escHtml(run.label) + '</option>').join('');
+  document.querySelectorAll('#balance-dialog .multi-run').forEach(el => el.classList.toggle('hidden', runs.length < 2));
+
+  balanceReport = null;
+  document.getElementById('balance-table').classList.add('hidden');
+  document.getElementById('balance-dialog').classList.remove('hidden');
+  computeBalance();
+}
+
+function closeBalanceDialog() {
+  document.getElementById('balance-dialog').classList.add('hidden');
+}
+
+function balanceRun() {
+  return runs[parseInt(document.getElementById('balance-run').value) || 0];
+}
+
+/** A fraction as a percentage, for the balance summary and report */
+function fmtFraction(v) {
+  return isFinite(v) ? (100 * v).toFixed(2) + ' %' : '–';
+}
+
+/** Plot the net source, dn/dt and relative residual of the chosen species */
+async function computeBalance() {
+  const refIndex = parseInt(document.getElementById('balance-species').value);
+  const name = data.species[refIndex - 1];
+  const run  = balanceRun();
+  const summary = document.getElementById('balance-summary');
+  const chart = document.getElementById('balance-chart');
+
+  const fail = msg => {
+    summary.textContent = msg;
+    summary.classList.add('error');
+    Plotly.purge(chart);
+  };
+
+  const match = matchRuns('species', name, refIndex).find(m => m.run === run);
+  if (!match) { fail(name + ' is not a species of ' + run.label + '.'); return; }
+  summary.classList.remove('error');
+  const spIdx = match.index;
+  let sourcesDict, density;
+  try {
+    [sourcesDict, density] = await run.data.withSources(spIdx, () => [run.data.sources(spIdx), run.data.density(spIdx)]);
+  } catch (e) {
+    fail('Cannot read ' + name + ': ' + e.message);
+    return;
+  }
+  const { t } = run.data;
+  const b = speciesBalance(sourcesDict, t, density);
+
+  summary.textContent = name + (runs.length > 1 ? ' in ' + run.label : '') + ': ' +
+    (Object.keys(sourcesDict).length ? '' : 'no reactions affect it (check the source matrix); ') +
+    'residual ' + fmtFraction(b.meanRelative) + ' of the rate on average, at most ' + fmtFraction(b.maxRelative) +
+    (isFinite(b.timeOfMax) ? ' at ' + fmtTime(b.timeOfMax) : '');
+
+  const th = chartTheme();
+  const traces = [
+    makeTrace(t, b.source,   'Net source Σ coeff·rate', COLOR_SERIES[0]),
+    makeTrace(t, b.dndt,     'dn/dt (finite difference)', COLOR_SERIES[1], null, 'dot'),
+    makeTrace(t, b.residual, 'Residual', COLOR_SERIES[2]),
+    { ...makeTrace(t, b.relative, '|Residual| / rate', COLOR_SERIES[3], 0), yaxis: 'y2', showlegend: false },
+  ];
+  await Plotly.react(chart, traces, {
+    ...PLOTLY_LAYOUT_DEFAULTS,
+    margin: { l: 70, r: 20, t: 10, b: 50 },
+    xaxis: xAxisLayout(),
+    yaxis:  { ...yAxisLayout('Rate [cm⁻³ s⁻¹]', 'linear'), domain: [0.36, 1] },
+    yaxis2: { ...yAxisLayout('Relative', 'log'), domain: [0, 0.28] },
+    legend: { orientation: 'h', x: 0, y: 1.02, yanchor: 'bottom', font: { size: 11, color: th.fontColor } },
+    plot_bgcolor: th.plot, paper_bgcolor: th.paper,
+    font: { color: th.fontColor, size: 11 },
+  }, PLOTLY_CFG);
+}
+
+/** Balance of every species of the run, worst first, read in batches that fit the cache */
+async function computeBalanceReport() {
+  const run = balanceRun();
+  const d = run.data;
+  const summary = document.getElementById('balance-summary');
+  setStatus('Checking ' + d.species.length + ' species…');
+  const rows = [];
+  try {
+    for (const needs of d.sourceBatches(d.species.map((_, i) => i + 1))) {
+      await d.withSeries(needs, () => needs.density.forEach(k => {
+        const sourcesDict = d.sources(k);
+        const { maxRelative, timeOfMax, meanRelative } = speciesBalance(sourcesDict, d.t, d.density(k));
+        rows.push({ index: k, name: d.species[k - 1], reactions: Object.keys(sourcesDict).length, maxRelative, timeOfMax, meanRelative });
+      }));
+    }
+  } catch (e) {
+    summary.textContent = 'Cannot check the species: ' + e.message;
+    summary.classList.add('error');
+    setStatus('Balance check failed.');
+    return;
+  }
+  rows.sort((a, b) => (b.meanRelative || 0) - (a.meanRelative || 0));
+  balanceReport = { run, rows };
+
+  const table = document.getElementById('balance-table');
+  table.classList.remove('hidden');
+  table.querySelector('tbody').innerHTML = rows.map(r =>
+    '<tr class="clickable' + (r.meanRelative > BALANCE_FLAG ? ' flagged' : '') + '" data-name="' + escHtml(r.name) + '">' +
+    '<td class="num">' + r.index + '</td><td>' + escHtml(r.name) + '</td><td class="num">' + r.reactions + '</td>' +
+    '<td class="num">' + fmtFraction(r.meanRelative) + '</td><td class="num">' + fmtFraction(r.maxRelative) + '</td>' +
+    '<td class="num">' + (isFinite(r.timeOfMax) ? fmtTime(r.timeOfMax) : '') + '</td></tr>'
+  ).join('');
+  const flagged = rows.filter(r => r.meanRelative > BALANCE_FLAG).length;
+  setStatus(flagged + ' of ' + rows.length + ' species with a mean residual above ' + fmtFraction(BALANCE_FLAG) +
+            (runs.length > 1 ? ' in ' + run.label : ''));
+}
+
+function exportBalanceReport() {
+  if (!balanceReport) { setStatus('Check all species first.'); return; }
+  const lines = [['index', 'species', 'reactions', 'mean_residual', 'max_residual', 'time_of_max_s'].join(',')];
+  for (const r of balanceReport.rows) {
+    lines.push([r.index, r.name, r.reactions, r.meanRelative, r.maxRelative, r.timeOfMax].map(csvEscape).join(','));
+  }
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), 'balance_report.csv');
+}
+
+// ============================================================
+// SERIES FEATURES
+// ============================================================
+
+/** Time-series tab on show, or null */
+function activeSeriesTab() {
+  const pane = document.querySelector('.tab-pane.active');
+  return pane && SERIES_TABS[pane.id] ? SERIES_TABS[pane.id] : null;
+}
+
+function openFeaturesDialog() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  if (!activeSeriesTab()) { setStatus('Select series in the Overview, Densities or Reactions tab first.'); return; }
+  document.getElementById('features-dialog').classList.remove('hidden');
+  computeFeatures();
+}
+
+function closeFeaturesDialog() {
+  document.getElementById('features-dialog').classList.add('hidden');
+}
+
+/** Peak, rise, decay and steady state of every selected series in every run */
+async function computeFeatures() {
+  const tab = activeSeriesTab();
+  const summary = document.getElementById('features-summary');
+  const tbody = document.querySelector('#features-table tbody');
+  const fraction  = parseFloat(document.getElementById('features-fraction').value) / 100;
+  const tolerance = parseFloat(document.getElementById('features-tolerance').value) / 100;
+  const sel = tab ? getSelected(tab.table) : [];
+  const fail = msg => {
+    summary.textContent = msg;
+    summary.classList.add('error');
+    tbody.innerHTML = '';
+  };
+  if (!sel.length) { fail('Select one or more series in the list first.'); return; }
+  if (!(fraction > 0 && fraction <= 1)) { fail('The fraction of the final value must be between 0 and 100 %.'); return; }
+  if (!(tolerance >= 0)) { fail('The steady-state tolerance must be a positive percentage.'); return; }
+  summary.classList.remove('error');
+
+  // Colours follow the order of the chart's traces
+  const cc = colorCycler();
+  let series;
+  try {
+    series = await seriesValues(sel, tab.kind);
+  } catch (e) {
+    fail('Cannot read the series: ' + e.message);
+    return;
+  }
+  const rows = [];
+  for (const { item, values } of series) {
+    const color = cc();
+    const label = item.derived ? item.derived.name : tab.label(item);
+    for (const { run, y } of values) {
+      if (!y) continue;
+      rows.push({ label: runLabel(label, run), color, ...seriesFeatures(run.data.t, y, fraction, tolerance) });
+    }
+  }
+  featureMarks = { chart: tab.chart, fraction, rows };
+
+  const fmt = v => isFinite(v) ? v.toExponential(3) : '–';
+  const fmtT = v => isFinite(v) ? fmtTime(v) : '–';
+  document.getElementById('features-rise-head').textContent = 't(' + +(100 * fraction).toPrecision(3) + ' %)';
+  tbody.innerHTML = rows.map(r =>
+    '<tr><td>' + escHtml(r.label) + '</td>' +
+    '<td class="num">' + fmtT(r.peakTime) + '</td><td class="num">' + fmt(r.peak) + '</td>' +
+    '<td class="num">' + fmt(r.final) + '</td><td class="num">' + fmtT(r.riseTime) + '</td>' +
+    '<td class="num">' + fmtT(r.decayTime) + '</td><td class="num">' + fmtT(r.steadyTime) + '</td></tr>'
+  ).join('');
+  summary.textContent = rows.length + ' series; times where the feature does not occur are shown as –';
+  applyFeatureMarks();
+}
+
+/** Annotations marking the features on a chart (positions in axis units, log10 on log axes) */
+function featureAnnotations(chartId, yType) {
+  if (!featureMarks || featureMarks.chart !== chartId || !document.getElementById('features-annotate').checked) return [];
+  // The Densities chart may be showing timescales instead
+  if (chartId === 'dens-chart' && document.getElementById('dens-mode').value !== 'density') return [];
+  const th = chartTheme();
+  const px = v => logTimeScale ? Math.log10(v) : v;
+  const py = v => yType === 'log' ? Math.log10(v) : v;
+  const riseText = +(100 * featureMarks.fraction).toPrecision(3) + ' %';
+  const out = [];
+  for (const r of featureMarks.rows) {
+    const mark = (time, value, text) => {
+      const x = px(time), y = py(value);
+      if (!isFinite(x) || !isFinite(y)) return;
+      out.push({
+        x, y, xref: 'x', yref: 'y', text,
+        showarrow: true, arrowhead: 2, arrowsize: 0.8, arrowwidth: 1, arrowcolor: r.color,
+        ax: 0, ay: -22, font: { size: 10, color: th.fontColor }, bgcolor: th.legendBg,
+        hovertext: r.label,
+      });
+    };
+    mark(r.peakTime, r.peak, 'peak');
+    mark(r.riseTime, r.riseValue, riseText);
+    mark(r.peakTime + r.decayTime, r.peak / Math.E, '1/e');
+    mark(r.steadyTime, r.steadyValue, 'steady');
+  }
+  return out;
+}
+
+function applyFeatureMarks() {
+  for (const id of Object.values(SERIES_TABS).map(tab => tab.chart)) {
+    const div = document.getElementById(id);
+    if (div && div._fullLayout) {
+      Plotly.relayout(div, { annotations: featureAnnotations(id, div.layout.yaxis.type) }).catch(() => {});
+    }
+  }
+}
+
+function exportFeatures() {
+  if (!featureMarks) { setStatus('Nothing to export.'); return; }
+  const rise = 'time_to_' + +(100 * featureMarks.fraction).toPrecision(3) + 'pct_s';
+  const lines = [['series', 'peak_time_s', 'peak', 'final', rise, 'efold_decay_s', 'steady_from_s'].join(',')];
+  for (const r of featureMarks.rows) {
+    lines.push([r.label, r.peakTime, r.peak, r.final, r.riseTime, r.decayTime, r.steadyTime]
+      .map(v => csvEscape(typeof v === 'number' && !isFinite(v) ? '' : v)).join(','));
+  }
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), 'features.csv');
+}
+
+// ============================================================
+// TIMESCALE RANKING
+// ============================================================
+
+function openTimescaleDialog() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const runSelect = document.getElementById('timescale-run');
+  runSelect.innerHTML = runs.map((run, i) => '<option value="' + i + '">' + escHtml(run.label) + '</option>').join('');
+  document.querySelectorAll('#timescale-dialog .multi-run').forEach(el => el.classList.toggle('hidden', runs.length < 2));
+  const time = snapshotTime !== null ? snapshotTime : visibleMidTime();
+  document.getElementById('timescale-time').value = +time.toPrecision(6);
+  document.getElementById('timescale-dialog').classList.remove('hidden');
+  computeTimescales();
+}
+
+function closeTimescaleDialog() {
+  document.getElementById('timescale-dialog').classList.add('hidden');
+}
+
+/** Loss and production timescales of every species of the run at one time */
+async function computeTimescales() {
+  const time = parseFloat(document.getElementById('timescale-time').value);
+  const run  = runs[parseInt(document.getElementById('timescale-run').value) || 0];
+  const summary = document.getElementById('timescale-summary');
+  const fail = msg => {
+    timescaleRank = null;
+    summary.textContent = msg;
+    summary.classList.add('error');
+    document.querySelector('#timescale-table tbody').innerHTML = '';
+  };
+  if (!isFinite(time)) { fail('Enter a time in seconds.'); return; }
+  summary.classList.remove('error');
+
+  // Only the rows on either side of the time are read
+  const d = run.data;
+  const keys = d.species.map((_, i) => i + 1);
+  const [start, end] = interpolationRows(d.t, time);
+  const t = d.t.slice(start, end);
+  let rates, densities;
+  try {
+    rates = await d.readRows('rate', d.reactions.map((_, i) => i + 1), start, end);
+    densities = await d.readRows('density', keys, start, end);
+  } catch (e) {
+    fail('Cannot read the rates and densities: ' + e.message);
+    return;
+  }
+  const rows = keys.map(k => {
+    // Interpolate the density and rates rather than the timescales, which may be infinite
+    const density = densities[k - 1];
+    const { lossRate, productionRate } = timescales(d.sources(k, rId => rates[rId - 1]), density);
+    const n = interpolate(t, density, time);
+    return {
+      index: k, name: d.species[k - 1], density: n,
+      loss:       n / interpolate(t, lossRate, time),
+      production: n / interpolate(t, productionRate, time),
+    };
+  });
+  timescaleRank = { run, time, rows };
+  renderTimescales();
+}
+
+function renderTimescales() {
+  if (!timescaleRank) return;
+  const { run, time } = timescaleRank;
+  const { key, dir } = timescaleSort;
+  // Species never lost (or produced) have an infinite timescale; undefined ones go last
+  const rows = timescaleRank.rows.slice().sort((a, b) => {
+    if (key === 'name') return dir * a.name.localeCompare(b.name);
+    const va = a[key], vb = b[key];
+    if (isNaN(va) || isNaN(vb)) return isNaN(va) - isNaN(vb);
+    return va === vb ? 0 : dir * (va < vb ? -1 : 1);
+  });
+  const fmt = v => v === Infinity ? '∞' : isFinite(v) ? v.toExponential(3) : '–';
+
+  document.querySelector('#timescale-table tbody').innerHTML = rows.map(r =>
+    '<tr><td class="num">' + r.index + '</td><td>' + escHtml(r.name) + '</td>' +
+    '<td class="num">' + fmt(r.density) + '</td><td class="num">' + fmt(r.loss) + '</td>' +
+    '<td class="num">' + fmt(r.production) + '</td></tr>'
+  ).join('');
+  document.querySelectorAll('#timescale-table th[data-key]').forEach(th => {
+    th.classList.toggle('sort-asc',  th.dataset.key === key && dir > 0);
+    th.classList.toggle('sort-desc', th.dataset.key === key && dir < 0);
+  });
+
+  const finite = timescaleRank.rows.filter(r => isFinite(r.loss) && r.loss > 0).sort((a, b) => a.loss - b.loss);
+  document.getElementById('timescale-summary').textContent =
+    (runs.length > 1 ? run.label + ' at ' : 'At ') + fmtTime(time) + ':  ' + (finite.length
+      ? 'fastest loss ' + finite[0].name + ' (' + finite[0].loss.toExponential(2) + ' s), slowest ' +
+        finite[finite.length - 1].name + ' (' + finite[finite.length - 1].loss.toExponential(2) + ' s)'
+      : 'no species is being lost');
+}
+
+function sortTimescales(key) {
+  if (timescaleSort.key === key) timescaleSort.dir = -timescaleSort.dir;
+  else timescaleSort = { key, dir: key === 'density' ? -1 : 1 };
+  renderTimescales();
+}
+
+function exportTimescales() {
+  if (!timescaleRank) { setStatus('Nothing to export.'); return; }
+  const lines = [['index', 'species', 'density_cm-3', 'loss_timescale_s', 'production_timescale_s'].join(',')];
+  for (const r of timescaleRank.rows) {
+    lines.push([r.index, r.name, r.density, r.loss, r.production].map(csvEscape).join(','));
+  }
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), 'timescales_' + timescaleRank.time + 's.csv');
+}
+
+// ============================================================
+// SNAPSHOT AT A TIME
+// ============================================================
+
+const SNAPSHOT_KINDS = [
+  { kind: 'density',   list: 'species',    label: 'Density',   unit: 'cm⁻³' },
+  { kind: 'rate',      list: 'reactions',  label: 'Rate',      unit: 'cm⁻³ s⁻¹' },
+  { kind: 'condition', list: 'conditions', label: 'Condition', unit: '' },
+];
 
-  const cc = colorCycler();
-  const traces = sel.map(({ index, name }) => {
-    const y = data.condition(index);
-    if (!y) return null;
-    const label = CONDITIONS_PRETTY[name] || name;
-    return makeTrace(data.t, y, label, cc(), null);
-  }).filter(Boolean);
+/** Vertical line at the snapshot time, for the layout of every time chart */
+function markerShapes() {
+  if (snapshotTime === null) return [];
+  // Shapes on a log axis are placed in log10 units
+  const x = logTimeScale ? Math.log10(snapshotTime) : snapshotTime;
+  if (!isFinite(x)) return [];
+  return [{
+    type: 'line', xref: 'x', yref: 'paper', x0: x, x1: x, y0: 0, y1: 1,
+    line: { color: chartTheme().axisColor, width: 1, dash: 'dot' },
+  }];
+}
 
-  const layout = baseLayout('', 'linear');
-  await renderChart('cond-chart', traces, layout);
+function setSnapshotMarker(time) {
+  snapshotTime = time;
+  const shapes = markerShapes();
+  chartIds.forEach(id => {
+    const div = document.getElementById(id);
+    if (div && div._fullLayout) Plotly.relayout(div, { shapes }).catch(() => {});
+  });
 }
 
-async function updateDensChart() {
+/** Open the snapshot table at a time [s]; without one, keep the last time */
+function openSnapshot(time = null) {
   if (!data) { setStatus('No data loaded.'); return; }
-  const sel = getSelected('spec-table');
-  if (!sel.length) { setStatus('Select at least one species.'); return; }
+  const runSelect = document.getElementById('snapshot-run');
+  const runIndex = snapshot ? runs.indexOf(snapshot.run) : 0;
+  runSelect.innerHTML = runs.map((run, i) => '<option value="' + i + '">' + escHtml(run.label) + '</option>').join('');
+  runSelect.value = Math.max(runIndex, 0);
+  document.querySelectorAll('#snapshot-dialog .multi-run').forEach(el => el.classList.toggle('hidden', runs.length < 2));
+
+  if (time === null) time = snapshotTime !== null ? snapshotTime : visibleMidTime();
+  document.getElementById('snapshot-time').value = +time.toPrecision(6);
+  document.getElementById('snapshot-dialog').classList.remove('hidden');
+  computeSnapshot();
+}
 
-  const cc = colorCycler();
-  const traces = sel.map(({ index, name }) => {
-    const y = data.density(index);
-    if (!y) return null;
-    return makeTrace(data.t, y, name, cc(), DENS_THRESHOLD);
-  }).filter(Boolean);
+function closeSnapshot() {
+  document.getElementById('snapshot-dialog').classList.add('hidden');
+}
 
-  const layout = baseLayout('Density [cm⁻³]', 'log');
-  await renderChart('dens-chart', traces, layout);
+/**
+ * Interpolate every density, rate and condition of the chosen run. Only
+ * the rows on either side of the time are read, not whole series.
+ */
+async function computeSnapshot() {
+  const time = parseFloat(document.getElementById('snapshot-time').value);
+  const run  = runs[parseInt(document.getElementById('snapshot-run').value) || 0];
+  const summary = document.getElementById('snapshot-summary');
+  const fail = msg => {
+    snapshot = null;
+    summary.textContent = msg;
+    summary.classList.add('error');
+    document.querySelector('#snapshot-table tbody').innerHTML = '';
+  };
+  if (!isFinite(time)) { fail('Enter a time in seconds.'); return; }
+  summary.classList.remove('error');
+
+  const d = run.data;
+  const [start, end] = interpolationRows(d.t, time);
+  const t = d.t.slice(start, end);
+  const rows = [];
+  try {
+    for (const k of SNAPSHOT_KINDS) {
+      const series = await d.readRows(k.kind, d[k.list].map((_, i) => i + 1), start, end);
+      const values = series.map(y => y ? interpolate(t, y, time) : NaN);
+      // Shares of the total density and of the sum of all rates; conditions have none
+      const total = k.kind === 'condition' ? 0 : values.reduce((acc, v) => acc + (isFinite(v) ? v : 0), 0);
+      values.forEach((value, i) => rows.push({
+        kind: k.kind, index: i + 1, name: d[k.list][i], value,
+        percent: total > 0 ? 100 * value / total : NaN,
+      }));
+    }
+  } catch (e) {
+    fail('Cannot read the values: ' + e.message);
+    return;
+  }
+  snapshot = { run, time, rows };
+  setSnapshotMarker(time);
+  renderSnapshot();
 }
 
-async function updateReactChart() {
-  if (!data) { setStatus('No data loaded.'); return; }
-  const sel = getSelected('react-table');
-  if (!sel.length) { setStatus('Select at least one reaction.'); return; }
+/** Rows after the kind and name filters, in the chosen order */
+function snapshotRows() {
+  const kind = document.getElementById('snapshot-kind').value;
+  const text = document.getElementById('snapshot-filter').value.trim().toLowerCase();
+  const rows = snapshot.rows.filter(r => (!kind || r.kind === kind) && (!text || r.name.toLowerCase().includes(text)));
+  const { key, dir } = snapshotSort;
+  const order = Object.fromEntries(SNAPSHOT_KINDS.map((k, i) => [k.kind, i]));
+  const val = r => key === 'kind' ? order[r.kind] : r[key];
+  // Stable sort: ties keep the list order; missing values go last either way
+  return rows.sort((a, b) => {
+    const va = val(a), vb = val(b);
+    if (typeof va === 'string') return dir * va.localeCompare(vb);
+    if (!isFinite(va) || !isFinite(vb)) return (!isFinite(va)) - (!isFinite(vb));
+    return dir * (va - vb);
+  });
+}
 
-  const cc = colorCycler();
-  const traces = sel.map(({ index, name }) => {
-    const y = data.rate(index);
-    if (!y) return null;
-    return makeTrace(data.t, y, '[' + index + '] ' + name, cc(), RATE_THRESHOLD);
-  }).filter(Boolean);
+function renderSnapshot() {
+  if (!snapshot) return;
+  const { run, time } = snapshot;
+  const rows = snapshotRows();
+  const kinds = Object.fromEntries(SNAPSHOT_KINDS.map(k => [k.kind, k]));
+  const { t } = run.data;
+
+  document.querySelector('#snapshot-table tbody').innerHTML = rows.map(r =>
+    '<tr><td>' + kinds[r.kind].label + '</td><td class="num">' + r.index + '</td><td>' + escHtml(r.name) + '</td>' +
+    '<td class="num">' + (isFinite(r.value) ? r.value.toExponential(4) : '') + '</td>' +
+    '<td class="mono">' + kinds[r.kind].unit + '</td>' +
+    '<td class="num">' + (isFinite(r.percent) ? r.percent.toFixed(2) + ' %' : '') + '</td></tr>'
+  ).join('');
+
+  document.querySelectorAll('#snapshot-table th[data-key]').forEach(th => {
+    th.classList.toggle('sort-asc',  th.dataset.key === snapshotSort.key && snapshotSort.dir > 0);
+    th.classList.toggle('sort-desc', th.dataset.key === snapshotSort.key && snapshotSort.dir < 0);
+  });
 
-  const layout = baseLayout('Rate [cm⁻³ s⁻¹]', 'log');
-  await renderChart('react-chart', traces, layout);
+  const outside = time < t[0] || time > t[t.length - 1];
+  document.getElementById('snapshot-summary').textContent =
+    (runs.length > 1 ? run.label + ' at ' : 'At ') + fmtTime(time) +
+    (outside ? ' (outside the run: values at the nearest end)' : ', interpolated between timesteps') +
+    ':  ' + rows.length + ' of ' + snapshot.rows.length + ' values';
 }
 
-async function updateSourceChart() {
+function sortSnapshot(key) {
+  // Numbers start from the largest, names and kinds from the top of the list
+  if (snapshotSort.key === key) snapshotSort.dir = -snapshotSort.dir;
+  else snapshotSort = { key, dir: key === 'value' || key === 'percent' ? -1 : 1 };
+  renderSnapshot();
+}
+
+function exportSnapshot() {
+  if (!snapshot) { setStatus('Nothing to export.'); return; }
+  const kinds = Object.fromEntries(SNAPSHOT_KINDS.map(k => [k.kind, k]));
+  const lines = [['kind', 'index', 'name', 'value', 'unit', 'percent'].join(',')];
+  for (const r of snapshotRows()) {
+    lines.push([r.kind, r.index, r.name, r.value, kinds[r.kind].unit, isFinite(r.percent) ? r.percent : '']
+      .map(csvEscape).join(','));
+  }
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), 'snapshot_' + snapshot.time + 's.csv');
+}
+
+// ============================================================
+// REACTION PATHWAYS
+// ============================================================
+
+/**
+ * Read the pathway controls. Blank time fields follow the time range shown
+ * in the charts (the whole run when not zoomed). Returns null after
+ * reporting an invalid field.
+ */
+function pathwaySettings() {
+  const [w0, w1] = visibleTimeWindow() || [data.t[0], data.t[data.t.length - 1]];
+  const num = (id, fallback) => {
+    const text = document.getElementById(id).value.trim();
+    return text === '' ? fallback : parseFloat(text);
+  };
+  const mode = document.getElementById('pw-mode').value;
+  const cfg = {
+    mode,
+    t0: num('pw-t0', w0),
+    t1: num('pw-t1', w1),
+    at: num('pw-at', visibleMidTime()),
+    delta: parseFloat(document.getElementById('pw-threshold').value),
+    view: document.getElementById('pw-view').value,
+    exclude: new Set(document.getElementById('pw-exclude').value.split(',')
+      .map(name => data.species.indexOf(name.trim()) + 1).filter(i => i > 0)),
+  };
+  if (mode === 'integrated' && !(cfg.t1 > cfg.t0)) { setStatus('The end of the window must be after its start.'); return null; }
+  if (mode === 'instant' && !isFinite(cfg.at)) { setStatus('Enter the time at which to show the fluxes.'); return null; }
+  return cfg;
+}
+
+async function updatePathwayChart() {
   if (!data) { setStatus('No data loaded.'); return; }
-  const sel = getSelected('src-table');
+  const sel = getSelected('pw-table');
   if (!sel.length) { setStatus('Select a species.'); return; }
+  await showPathways(sel[0].index);
+}
 
-  const { index: spIdx, name: spName } = sel[0];
-  const delta = parseFloat(document.getElementById('src-filter').value);
-
-  const sourcesDict = data.sources(spIdx);
-  const rxnIds = Object.keys(sourcesDict).map(Number);
-  if (!rxnIds.length) {
-    setStatus('No reactions affect ' + spName + ' (check source matrix).');
-    return;
+/**
+ * Graph the pathways around a species (1-based). The species expanded so
+ * far are kept while the root stays the same, unless `expanded` (from a
+ * view being restored) replaces them.
+ */
+async function showPathways(root, expanded = null) {
+  if (expanded || !pathway || pathway.data !== data || pathway.root !== root) {
+    pathway = { data, root, expanded: new Set([root, ...(expanded || [])]) };
   }
+  await renderPathways();
+}
 
-  // Separate creation/removal using weighted rates
-  const creationIds = [], removalIds = [];
-  const posWeighted = {}, negWeighted = {};
+/** Show the time fields of the pathway mode */
+function showPathwayMode() {
+  const mode = document.getElementById('pw-mode').value;
+  document.getElementById('pw-window-row').classList.toggle('hidden', mode !== 'integrated');
+  document.getElementById('pw-at-row').classList.toggle('hidden', mode !== 'instant');
+}
 
-  for (const rId of rxnIds) {
-    const w = sourcesDict[rId];
-    const hasPos = w.some(v => v > 0);
-    const hasNeg = w.some(v => v < 0);
-    if (hasPos) { creationIds.push(rId); posWeighted[rId] = w.map(v => Math.max(v, 0)); }
-    if (hasNeg) { removalIds.push(rId);  negWeighted[rId] = w.map(v => Math.max(-v, 0)); }
+/** Expand a species of the graph, or collapse it if already expanded */
+function togglePathwayNode(s) {
+  if (!pathway || s === pathway.root) return;
+  if (pathway.expanded.has(s)) pathway.expanded.delete(s);
+  else pathway.expanded.add(s);
+  renderPathways();
+}
+
+/**
+ * Fluxes into and out of every expanded species. Each species keeps the
+ * edges above the threshold relative to its own strongest one, so that
+ * expanding a minor species still shows where it comes from and goes to.
+ * Only one weight per reaction is kept, so the rates are read in batches
+ * that fit the cache. Rejects when a rate cannot be read.
+ */
+async function pathwayEdges(cfg) {
+  const { expanded } = pathway;
+  const sides = sidesOf(data);
+  const rxnIds = [...new Set([...expanded].flatMap(s => data.sourceReactions(s)))];
+
+  const weights = new Map();
+  for (const ids of data.seriesBatches(rxnIds)) {
+    await data.withSeries({ rate: ids }, () => ids.forEach(id => {
+      const y = data.rate(id);
+      weights.set(id, cfg.mode === 'instant' ? interpolate(data.t, y, cfg.at) : integrate(data.t, y, cfg.t0, cfg.t1));
+    }));
   }
 
-  const filtCreation = filterRates(posWeighted, creationIds, delta);
-  const filtRemoval  = filterRates(negWeighted, removalIds,  delta);
+  const edges = new Map();
+  for (const s of expanded) {
+    const own = speciesFluxEdges(sides, data.sourceReactions(s), id => weights.get(id), s)
+      .filter(e => !cfg.exclude.has(e.from) && !cfg.exclude.has(e.to));
+    if (!own.length) continue;
+    const max = arrMax(own.map(e => e.weight));
+    for (const e of own) {
+      if (cfg.delta === 0 || e.weight >= cfg.delta * max) edges.set(e.from + '>' + e.to, e);
+    }
+  }
+  return [...edges.values()];
+}
 
-  const cc = colorCycler();
+/**
+ * Place the species in columns by their distance from the root: sources
+ * of the root to the left, products to the right.
+ */
+function layoutPathways(root, edges) {
+  const layer = new Map([[root, 0]]);
+  const queue = [root];
+  while (queue.length) {
+    const s = queue.shift();
+    for (const e of edges) {
+      if (e.from === s && !layer.has(e.to))   { layer.set(e.to,   layer.get(s) + 1); queue.push(e.to); }
+      if (e.to   === s && !layer.has(e.from)) { layer.set(e.from, layer.get(s) - 1); queue.push(e.from); }
+    }
+  }
 
-  // Plot creation
-  const creationTraces = buildReactionTraces(filtCreation, cc);
-  const removalTraces  = buildReactionTraces(filtRemoval,  cc);
+  // Columns nearest the root first; within a column, order by the mean
+  // height of the neighbours already placed to limit crossings
+  const columns = new Map();
+  for (const [s, l] of layer) {
+    if (!columns.has(l)) columns.set(l, []);
+    columns.get(l).push(s);
+  }
+  const pos = new Map();
+  for (const l of [...columns.keys()].sort((a, b) => Math.abs(a) - Math.abs(b))) {
+    const col = columns.get(l);
+    const centre = s => {
+      const ys = edges.filter(e => e.from === s || e.to === s)
+                      .map(e => pos.get(e.from === s ? e.to : e.from))
+                      .filter(Boolean).map(p => p.y);
+      return ys.length ? ys.reduce((a, b) => a + b, 0) / ys.length : 0;
+    };
+    col.sort((a, b) => centre(a) - centre(b));
+    col.forEach((s, i) => pos.set(s, { x: l, y: i - (col.length - 1) / 2 }));
+  }
+  return pos;
+}
 
-  const titleFont = { size: 13, color: chartTheme().titleColor };
-  const createLayout = {
-    ...baseLayout('Rate [cm⁻³ s⁻¹]', 'log', { l: 70, r: 180, t: 30, b: 40 }),
-    title: { text: spName + '  –  Creation', font: titleFont },
-  };
-  const removeLayout = {
-    ...baseLayout('Rate [cm⁻³ s⁻¹]', 'log', { l: 70, r: 180, t: 30, b: 50 }),
-    title: { text: spName + '  –  Removal', font: titleFont },
-  };
+async function renderPathways() {
+  if (!pathway) return;
+  const cfg = pathwaySettings();
+  if (!cfg) return;
+  const { root, expanded } = pathway;
+  const div = document.getElementById('pathway-chart');
+  let edges;
+  try {
+    edges = await pathwayEdges(cfg);
+  } catch (e) {
+    Plotly.purge(div);
+    setStatus('Cannot read the rates of the ' + data.species[root - 1] + ' pathways: ' + e.message);
+    refreshDiagnostics();
+    return;
+  }
+  const unit = cfg.mode === 'instant' ? 'cm⁻³ s⁻¹' : 'cm⁻³';
+  const when = cfg.mode === 'instant' ? 'at ' + fmtTime(cfg.at) : fmtTime(cfg.t0) + ' – ' + fmtTime(cfg.t1);
+  const name = s => data.species[s - 1];
+  const th = chartTheme();
 
-  await Promise.all([
-    renderChart('creation-chart', creationTraces, createLayout),
-    renderChart('removal-chart',  removalTraces,  removeLayout),
-  ]);
+  const edgeText = e => name(e.from) + ' → ' + name(e.to) + ': ' + e.weight.toExponential(3) + ' ' + unit + '<br>' +
+    e.reactions.slice(0, 6).map(r => '[' + r.id + '] ' + escHtml(data.reactions[r.id - 1]) + '  ' +
+                                 (100 * r.weight / e.weight).toFixed(1) + ' %').join('<br>') +
+    (e.reactions.length > 6 ? '<br>…' : '');
+
+  let traces, layout;
+  if (cfg.view === 'sankey') {
+    const nodes = [...new Set([root, ...edges.flatMap(e => [e.from, e.to])])];
+    const index = new Map(nodes.map((s, i) => [s, i]));
+    traces = [{
+      type: 'sankey',
+      arrangement: 'snap',
+      node: {
+        label: nodes.map(name),
+        customdata: nodes,
+        color: nodes.map(s => s === root ? COLOR_SERIES[1] : expanded.has(s) ? COLOR_SERIES[0] : COLOR_SERIES[2]),
+        pad: 14, thickness: 14,
+        hovertemplate: '%{label}<br>in %{targetLinks.length} · out %{sourceLinks.length}<extra></extra>',
+      },
+      link: {
+        source: edges.map(e => index.get(e.from)),
+        target: edges.map(e => index.get(e.to)),
+        value:  edges.map(e => e.weight),
+        customdata: edges.map(edgeText),
+        hovertemplate: '%{customdata}<extra></extra>',
+      },
+    }];
+    layout = { margin: { l: 20, r: 20, t: 40, b: 20 } };
+  } else {
+    const pos = layoutPathways(root, edges);
+    const maxW = arrMax(edges.map(e => e.weight));
+    const keys = new Set(edges.map(e => e.from + '>' + e.to));
+    // Offset the two directions of a reversible pair so both arrows show
+    const ends = e => {
+      const a = pos.get(e.from), b = pos.get(e.to);
+      if (!keys.has(e.to + '>' + e.from)) return [a, b];
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      const ox = 0.08 * (b.y - a.y) / len, oy = -0.08 * (b.x - a.x) / len;
+      return [{ x: a.x + ox, y: a.y + oy }, { x: b.x + ox, y: b.y + oy }];
+    };
+    const annotations = edges.map(e => {
+      const [a, b] = ends(e);
+      return {
+        x: b.x, y: b.y, ax: a.x, ay: a.y,
+        xref: 'x', yref: 'y', axref: 'x', ayref: 'y',
+        showarrow: true, arrowhead: 2, arrowsize: 1,
+        arrowwidth: 1 + 5 * Math.sqrt(e.weight / maxW),
+        arrowcolor: e.from === root ? COLOR_SERIES[1] : e.to === root ? COLOR_SERIES[0] : th.axisColor,
+        standoff: 12, startstandoff: 12, opacity: 0.75, text: '',
+      };
+    });
+    const mids = edges.map(e => { const [a, b] = ends(e); return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }; });
+    const nodes = [...pos.keys()];
+    traces = [
+      {
+        type: 'scatter', mode: 'markers', hoverinfo: 'text',
+        x: mids.map(p => p.x), y: mids.map(p => p.y), text: edges.map(edgeText),
+        marker: { size: 12, opacity: 0 },
+      },
+      {
+        type: 'scatter', mode: 'markers+text', hoverinfo: 'text',
+        x: nodes.map(s => pos.get(s).x), y: nodes.map(s => pos.get(s).y),
+        text: nodes.map(name), textposition: 'top center', customdata: nodes,
+        hovertext: nodes.map(s => name(s) + (s === root ? '' : expanded.has(s) ? '<br>click to collapse' : '<br>click to expand')),
+        marker: {
+          size: 16,
+          color: nodes.map(s => s === root ? COLOR_SERIES[1] : expanded.has(s) ? COLOR_SERIES[0] : th.plot),
+          line: { width: 2, color: nodes.map(s => s === root ? COLOR_SERIES[1] : COLOR_SERIES[0]) },
+        },
+        textfont: { color: th.fontColor, size: 12 },
+      },
+    ];
+    const hidden = { visible: false, fixedrange: false };
+    layout = {
+      margin: { l: 20, r: 20, t: 40, b: 20 },
+      xaxis: hidden, yaxis: hidden,
+      annotations, hovermode: 'closest', showlegend: false,
+    };
+  }
 
-  // Synchronise margins so both y-axes line up exactly.
-  // _size holds the actual computed margins after Plotly's auto-adjustment.
-  const d1 = document.getElementById('creation-chart');
-  const d2 = document.getElementById('removal-chart');
-  if (d1._fullLayout && d2._fullLayout) {
-    const l = Math.max(d1._fullLayout._size.l, d2._fullLayout._size.l);
-    const r = Math.max(d1._fullLayout._size.r, d2._fullLayout._size.r);
-    await Promise.all([
-      Plotly.relayout(d1, { 'margin.l': l, 'margin.r': r }),
-      Plotly.relayout(d2, { 'margin.l': l, 'margin.r': r }),
-    ]);
+  if (!div._fullLayout) div._pathwayClick = false;
+  await Plotly.react(div, traces, {
+    ...layout,
+    title: { text: name(root) + ' pathways, ' + (cfg.mode === 'instant' ? 'rates ' : 'integrated ') + when + ' [' + unit + ']',
+             font: { size: 13, color: th.titleColor } },
+    plot_bgcolor: th.plot, paper_bgcolor: th.paper,
+    font: { family: '-apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif', size: 12, color: th.fontColor },
+  }, PLOTLY_CFG);
+  if (!div._pathwayClick) {
+    div._pathwayClick = true;
+    div.on('plotly_click', ev => {
+      const p = ev.points && ev.points[0];
+      if (p && typeof p.customdata === 'number') togglePathwayNode(p.customdata);
+    });
   }
-}
 
-/** Build traces using actual (raw) reaction rates, not weighted */
-function buildReactionTraces(rxnIds, colorFn) {
-  return rxnIds.map(rId => {
-    const y = data.rate(rId);
-    if (!y) return null;
-    const name = '[' + rId + '] ' + (data.reactions[rId - 1] || '?');
-    return makeTrace(data.t, y, name, colorFn(), RATE_THRESHOLD);
-  }).filter(Boolean);
+  const nSpecies = new Set(edges.flatMap(e => [e.from, e.to])).size;
+  setStatus(name(root) + ': ' + edges.length + ' fluxes between ' + nSpecies + ' species' +
+            (runs.length > 1 ? ' in ' + runs[0].label : '') +
+            (expanded.size > 1 ? ' (expanded: ' + [...expanded].filter(s => s !== root).map(name).join(', ') + ')' : ''));
 }
 
 // ============================================================
-// SENSITIVITY FILTER
+// DASHBOARD
 // ============================================================
 
+function panelChartId(panel) {
+  return 'dash-chart-' + panel.id;
+}
+
+function panelElement(panel) {
+  return document.querySelector('#dashboard-grid .dash-panel[data-panel="' + panel.id + '"]');
+}
+
+/** Default title: the names of the first few series */
+function panelTitle(panel) {
+  if (panel.title) return panel.title;
+  const names = panel.series.map(([, name]) => name);
+  return names.slice(0, 3).join(', ') + (names.length > 3 ? ' and ' + (names.length - 3) + ' more' : '');
+}
+
 /**
- * Select reactions to display.
- * weightedMap: { rxnId: number[] }  (all values ≥ 0)
- * Returns array of rxnIds sorted by importance.
+ * Add a panel at the end of the dashboard and plot it.
+ * spec: { title, kind, series: [[index, name]], yType, span, height }
  */
-function filterRates(weightedMap, ids, delta, maxRates = 8, minRates = 1) {
-  if (!ids.length) return [];
+async function addPanel(spec) {
+  const panel = { title: '', span: 3, height: 'medium', ...spec, id: nextPanelId++ };
+  if (!panel.yType) panel.yType = PANEL_KINDS[panel.kind].yType;
+  dashboard.push(panel);
+
+  const el = document.createElement('div');
+  el.className = 'dash-panel';
+  el.dataset.panel = panel.id;
+  el.innerHTML =
+    '<div class="dash-panel-header">' +
+      '<span class="dash-panel-title"></span>' +
+      '<select data-action="ytype" title="y scale"><option value="log">log</option><option value="linear">linear</option></select>' +
+      '<select data-action="span" title="Width">' +
+        PANEL_SPANS.map(([n, label]) => '<option value="' + n + '">' + label + '</option>').join('') + '</select>' +
+      '<select data-action="height" title="Height">' +
+        Object.keys(PANEL_HEIGHTS).map(h => '<option value="' + h + '">' + h + '</option>').join('') + '</select>' +
+      '<button data-action="earlier" title="Move earlier">◀</button>' +
+      '<button data-action="later" title="Move later">▶</button>' +
+      '<button data-action="edit" title="Choose series">✎</button>' +
+      '<button data-action="remove" title="Remove panel">×</button>' +
+    '</div>' +
+    '<div class="dash-chart" id="' + panelChartId(panel) + '"></div>';
+  document.getElementById('dashboard-grid').appendChild(el);
+  chartIds.push(panelChartId(panel));
+  layoutPanel(panel);
+  await plotPanel(panel);
+  return panel;
+}
+
+/** Apply a panel's title, size and controls to its element */
+function layoutPanel(panel) {
+  const el = panelElement(panel);
+  el.style.gridColumn = 'span ' + panel.span;
+  el.style.height = (PANEL_HEIGHTS[panel.height] || PANEL_HEIGHTS.medium) + 'px';
+  el.querySelector('.dash-panel-title').textContent = panelTitle(panel);
+  el.querySelector('[data-action="ytype"]').value = panel.yType;
+  el.querySelector('[data-action="span"]').value = panel.span;
+  el.querySelector('[data-action="height"]').value = panel.height;
+}
 
-  // Max contribution over all timesteps for each reaction
-  const maxVal = ids.map(id => Math.max(...weightedMap[id]));
-  const globalMax = Math.max(...maxVal);
-  if (globalMax === 0) return [];
+/** Plot a panel's series, matched by name in every run as on the other tabs */
+async function plotPanel(panel) {
+  const el = panelElement(panel);
+  const div = document.getElementById(panelChartId(panel));
+  const kind = PANEL_KINDS[panel.kind];
+  const list = data ? data[kind.list] : [];
+  const sel = resolveRows(list, panel.series).indices.map(index => ({ index, name: list[index - 1] }));
+  el.classList.toggle('empty', !sel.length);
+  if (!sel.length) { Plotly.purge(div); return; }
+  let traces;
+  try {
+    traces = await seriesTraces(sel, panel.kind, kind.label, panel.yType === 'log' ? kind.threshold : null);
+  } catch (e) {
+    chartReadFailed([div.id], 'the series of ' + (panel.title || 'a panel'), e);
+    return;
+  }
+  await renderChart(div.id, traces, baseLayout(kind.yTitle, panel.yType, { l: 70, r: 160, t: 10, b: 40 }));
+}
 
-  const normMax = maxVal.map(v => v / globalMax); // [0..1]
+async function plotDashboard() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  for (const panel of dashboard) await plotPanel(panel);
+}
 
-  // Sort descending
-  const sorted = ids.map((id, i) => ({ id, norm: normMax[i] }))
-                    .sort((a, b) => b.norm - a.norm);
+function removePanel(panel) {
+  Plotly.purge(document.getElementById(panelChartId(panel)));
+  chartIds.splice(chartIds.indexOf(panelChartId(panel)), 1);
+  dashboard.splice(dashboard.indexOf(panel), 1);
+  panelElement(panel).remove();
+}
 
-  const result = [];
-  for (let i = 0; i < sorted.length; i++) {
-    const { id, norm } = sorted[i];
-    if (i < minRates) {
-      result.push(id);
-    } else if (i < maxRates) {
-      if (delta === 0 || norm > delta) result.push(id);
-    } else {
-      // Still include very dominant reactions above max cap
-      if (delta > 0 && norm > (1 - delta)) result.push(id);
-    }
+function clearDashboard() {
+  [...dashboard].forEach(removePanel);
+}
+
+/** Move a panel one place earlier (step -1) or later (step 1) */
+function movePanel(panel, step) {
+  const i = dashboard.indexOf(panel);
+  const j = i + step;
+  if (j < 0 || j >= dashboard.length) return;
+  const other = dashboard[j];
+  [dashboard[i], dashboard[j]] = [other, panel];
+  const grid = document.getElementById('dashboard-grid');
+  if (step < 0) grid.insertBefore(panelElement(panel), panelElement(other));
+  else grid.insertBefore(panelElement(other), panelElement(panel));
+  window.dispatchEvent(new Event('resize'));
+}
+
+/** Handle a control in a panel's bar */
+function panelAction(panel, action, value) {
+  switch (action) {
+    case 'edit':    openPanelEditor(panel); break;
+    case 'remove':  removePanel(panel); break;
+    case 'earlier': movePanel(panel, -1); break;
+    case 'later':   movePanel(panel, 1); break;
+    case 'ytype':
+      panel.yType = value;
+      plotPanel(panel);
+      break;
+    case 'span':
+    case 'height':
+      panel[action] = action === 'span' ? parseInt(value) : value;
+      layoutPanel(panel);
+      // Charts follow their container on window resizes (PLOTLY_CFG.responsive)
+      window.dispatchEvent(new Event('resize'));
+      break;
+  }
+}
+
+/** Open the series picker for a panel, or for a new one */
+function openPanelEditor(panel = null) {
+  if (!data) { setStatus('No data loaded.'); return; }
+  panelEditing = panel;
+  document.getElementById('panel-title').value = panel ? panel.title : '';
+  document.getElementById('panel-kind').value = panel ? panel.kind : 'density';
+  document.getElementById('panel-save').textContent = panel ? 'Update' : 'Add panel';
+  fillPanelList(panel ? panel.series : []);
+  document.getElementById('panel-dialog').classList.remove('hidden');
+}
+
+function closePanelEditor() {
+  document.getElementById('panel-dialog').classList.add('hidden');
+}
+
+/** List the series of the chosen kind, selecting those given as [[index, name]] */
+function fillPanelList(series) {
+  const list = data[PANEL_KINDS[document.getElementById('panel-kind').value].list];
+  populateTable('panel-table', list);
+  selectRows('panel-table', resolveRows(list, series).indices);
+  applyListFilter('panel-table');
+  document.getElementById('panel-msg').textContent = '';
+}
+
+async function savePanel() {
+  const sel = getSelected('panel-table');
+  const msg = document.getElementById('panel-msg');
+  if (!sel.length) {
+    msg.textContent = 'Select at least one series.';
+    msg.classList.add('error');
+    return;
+  }
+  const kind = document.getElementById('panel-kind').value;
+  const spec = {
+    title: document.getElementById('panel-title').value.trim(),
+    kind,
+    series: sel.map(s => [s.index, s.name]),
+  };
+  closePanelEditor();
+  if (!panelEditing) {
+    await addPanel(spec);
+    return;
   }
-  return result;
+  if (panelEditing.kind !== kind) spec.yType = PANEL_KINDS[kind].yType;
+  Object.assign(panelEditing, spec);
+  layoutPanel(panelEditing);
+  await plotPanel(panelEditing);
 }
 
 // ============================================================
 // REFRESH ALL CHARTS (after log/linear toggle or theme change)
 // ============================================================
 
+/** Switch between the light and dark theme, recolouring the charts */
+function setTheme(light) {
+  lightTheme = light;
+  document.documentElement.dataset.theme = lightTheme ? 'light' : 'dark';
+  document.getElementById('theme-icon-dark').style.display  = lightTheme ? 'none' : '';
+  document.getElementById('theme-icon-light').style.display = lightTheme ? ''     : 'none';
+  refreshChartColors();
+  if (document.getElementById('pathway-chart')._fullLayout) renderPathways();
+}
+
 function refreshChartColors() {
   const th = chartTheme();
   const update = {
@@ -589,6 +2961,7 @@ function refreshChartColors() {
     'legend.bordercolor': th.legendBorder,
     'legend.font.color':  th.fontColor,
     'title.font.color':   th.titleColor,
+    shapes:               markerShapes(),
   };
   chartIds.forEach(id => {
     const div = document.getElementById(id);
@@ -596,67 +2969,213 @@ function refreshChartColors() {
       Plotly.relayout(div, update).catch(() => {});
     }
   });
+  applyFeatureMarks();
 }
 
 function refreshXScale() {
-  chartIds.forEach(id => {
+  // Log axes range over log10(t): carry a zoomed range across the change
+  if (sharedXRange) {
+    const [t0, t1] = logTimeScale ? sharedXRange : sharedXRange.map(v => Math.pow(10, v));
+    sharedXRange = !logTimeScale ? [t0, t1] : t0 > 0 ? [Math.log10(t0), Math.log10(t1)] : null;
+  }
+  Promise.all(chartIds.map(id => {
     const div = document.getElementById(id);
-    if (div && div._fullLayout) {
-      Plotly.relayout(div, {
-        'xaxis.type': logTimeScale ? 'log' : 'linear',
-        ...(sharedXRange ? { 'xaxis.range': sharedXRange } : { 'xaxis.autorange': true }),
-      }).catch(() => {});
-    }
-  });
+    if (!div || !div._fullLayout) return null;
+    return Plotly.relayout(div, {
+      'xaxis.type': logTimeScale ? 'log' : 'linear',
+      shapes: markerShapes(),
+      annotations: featureAnnotations(id, div.layout.yaxis.type),
+      ...(sharedXRange ? { 'xaxis.range': sharedXRange } : { 'xaxis.autorange': true }),
+    }).catch(() => {});
+  })).then(refitCharts); // log axes group the points differently
 }
 
 // ============================================================
 // EXPORT
 // ============================================================
 
-function csvEscape(v) {
-  const s = (v === undefined || v === null) ? '' : String(v);
-  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+// Export formats: file extension and MIME type
+const EXPORT_FORMATS = {
+  csv:  ['.csv',  'text/csv'],
+  tsv:  ['.tsv',  'text/tab-separated-values'],
+  json: ['.json', 'application/json'],
+  npy:  ['.npy',  'application/octet-stream'],
+  npz:  ['.npz',  'application/zip'],
+};
+
+function openExportDialog() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const runSelect = document.getElementById('export-run');
+  runSelect.innerHTML = runs.map((run, i) => '<option value="' + i + '">' + escHtml(run.label) + '</option>').join('');
+  updateExportForm();
+  document.getElementById('export-summary').textContent = '';
+  document.getElementById('export-dialog').classList.remove('hidden');
 }
 
-function exportCurrentPlot() {
-  // Find the active tab's first rendered chart
-  const activeTab = document.querySelector('.tab-pane.active');
-  if (!activeTab) return;
-  // Try .chart-area first, then .source-charts (sensitivity tab)
-  const chartDiv = activeTab.querySelector('.chart-area > div[id], .source-charts > div[id]');
-  if (!chartDiv || !chartDiv._fullLayout) {
-    alert('No plot to export. Render a chart first.');
-    return;
+function closeExportDialog() {
+  document.getElementById('export-dialog').classList.add('hidden');
+}
+
+/** Show the run choice for whole-dataset exports and the grid size when resampling */
+function updateExportForm() {
+  const all = document.getElementById('export-scope').value === 'all';
+  document.querySelectorAll('#export-dialog .multi-run').forEach(el => el.classList.toggle('hidden', !all || runs.length < 2));
+  document.getElementById('export-points').disabled = !document.getElementById('export-resample').value;
+}
+
+/** Fill the time window [s]; null clears it (whole run) */
+function setExportWindow(win) {
+  document.getElementById('export-t0').value = win ? +win[0].toPrecision(6) : '';
+  document.getElementById('export-t1').value = win ? +win[1].toPrecision(6) : '';
+}
+
+/** Runs whose data an export reads: the chosen run for the entire dataset, else every run */
+function exportRuns(scope) {
+  return scope === 'all' ? [runs[parseInt(document.getElementById('export-run').value) || 0]] : runs;
+}
+
+/**
+ * Series to export as columns { name, t, values }, cut to t0 ≤ t ≤ t1:
+ * the lines plotted on the active tab (at full resolution), the rows
+ * selected in the Overview, Densities and Reactions lists (in every run),
+ * or every series of a run.
+ */
+async function exportColumns(scope, t0, t1) {
+  if (scope === 'plotted') {
+    const charts = chartIds.map(id => document.getElementById(id))
+      .filter(div => div && div._fullLayout && div.closest('.tab-pane.active'));
+    return windowSeries(charts.flatMap(div => div.data
+      .map(tr => ({ ...tr, ...fullResolution.get(tr) }))
+      .filter(tr => tr.x && tr.y && tr.x.length)
+      .map(tr => ({ name: tr.name || '?', t: tr.x, values: tr.y }))), t0, t1);
+  }
+  if (scope === 'selected') {
+    const columns = [];
+    for (const { table, kind, label } of Object.values(SERIES_TABS)) {
+      for (const { item, values } of await seriesValues(getSelected(table), kind)) {
+        const name = item.derived ? item.derived.name : label(item);
+        for (const { run, y } of values) {
+          if (y) columns.push({ name: runLabel(name, run), t: run.data.t, values: y });
+        }
+      }
+    }
+    return windowSeries(columns, t0, t1);
+  }
+  // Every series of a run: read a batch at a time and keep only its rows in the window
+  const d = exportRuns(scope)[0].data;
+  const [lo, hi] = windowRows(d.t, t0, t1);
+  const t = d.t.slice(lo, hi);
+  const columns = [];
+  for (const [kind, names, label] of [
+    ['condition', d.conditions, name => name],
+    ['density',   d.species,    name => name],
+    ['rate',      d.reactions,  (name, k) => '[' + k + '] ' + name],
+  ]) {
+    for (const keys of d.seriesBatches(names.map((_, i) => i + 1))) {
+      await d.withSeries({ [kind]: keys }, () => keys.forEach(k => {
+        const values = d[kind](k);
+        if (values) columns.push({ name: label(names[k - 1], k), t, values: values.slice(lo, hi) });
+      }));
+    }
+  }
+  return columns;
+}
+
+/** Export the chosen series, window and time column in the chosen format */
+async function runExport() {
+  const summary = document.getElementById('export-summary');
+  const fail = msg => { summary.textContent = msg; summary.classList.add('error'); };
+  summary.classList.remove('error');
+  const scope    = document.getElementById('export-scope').value;
+  const format   = document.getElementById('export-format').value;
+  const resample = document.getElementById('export-resample').value;
+  const points   = parseInt(document.getElementById('export-points').value);
+  const bound = id => {
+    const text = document.getElementById(id).value.trim();
+    return text === '' ? null : parseFloat(text);
+  };
+  const t0 = bound('export-t0'), t1 = bound('export-t1');
+  if (Number.isNaN(t0) || Number.isNaN(t1) || (t0 !== null && t1 !== null && !(t1 > t0))) {
+    return fail('Enter a time window with from < to, or leave it empty for the whole run.');
   }
+  if (resample && !(points >= 2)) return fail('The grid needs at least 2 points.');
 
-  const traces = chartDiv.data;
-  if (!traces || !traces.length) { alert('No data to export.'); return; }
+  summary.textContent = 'Reading…';
+  try {
+    const columns = await exportColumns(scope, t0, t1);
+    const spans = columns.filter(c => c.t.length);
+    if (!spans.length) {
+      return fail({
+        plotted:  'Nothing is plotted on this tab.',
+        selected: 'Select series in the Overview, Densities or Reactions lists.',
+        all:      'This run has no data in the time window.',
+      }[scope]);
+    }
 
-  // Header row
-  const header = ['time', ...traces.map(tr => tr.name || '?')].map(csvEscape).join(',');
+    let table;
+    if (resample) {
+      let lo = t0 !== null ? t0 : Math.min(...spans.map(c => c.t[0]));
+      const hi = t1 !== null ? t1 : Math.max(...spans.map(c => c.t[c.t.length - 1]));
+      // A log grid starts at the first time above zero
+      if (resample === 'log' && !(lo > 0)) {
+        lo = Math.min(...spans.map(c => Array.prototype.find.call(c.t, v => v > 0)).filter(v => v !== undefined));
+        if (!(lo < hi)) return fail('A logarithmic grid needs times above zero.');
+      }
+      table = resampleSeries(columns, timeGrid(lo, hi, points, resample === 'log'));
+    } else {
+      table = alignSeries(columns);
+    }
 
-  // Data rows — each trace may have a different x array; use the union of all x values
-  const nPts = Math.max(...traces.map(tr => (tr.x || []).length));
-  const rows = [];
-  for (let i = 0; i < nPts; i++) {
-    const t = traces[0].x ? traces[0].x[i] : '';
-    const cols = [t, ...traces.map(tr => (tr.y && tr.y[i] !== undefined ? tr.y[i] : ''))];
-    rows.push(cols.map(csvEscape).join(','));
+    let body;
+    if (format === 'csv' || format === 'tsv') body = seriesToDelimited(table.t, table.columns, format === 'csv' ? ',' : '\t');
+    else if (format === 'json') body = seriesToJSON(table.t, table.columns);
+    else if (format === 'npy')  body = seriesToNpy(table.t, table.columns);
+    else {
+      const JSZip = await loadJSZip();
+      const zip = new JSZip();
+      for (const { name, bytes } of seriesToNpzMembers(table.t, table.columns)) zip.file(name, bytes);
+      body = await zip.generateAsync({ type: 'uint8array' });
+    }
+    const [ext, type] = EXPORT_FORMATS[format];
+    downloadBlob(new Blob([body], { type }), exportRuns(scope).map(run => run.label).join('+') + '_' + scope + ext);
+    summary.textContent = 'Exported ' + table.columns.length + ' series at ' + table.t.length + ' times';
+  } catch (e) {
+    fail('Export failed: ' + e.message);
   }
+}
 
-  const csv  = [header, ...rows].join('\n') + '\n';
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url  = URL.createObjectURL(blob);
-  const a    = document.createElement('a');
-  a.href = url; a.download = 'jsplaskin_export.csv'; a.click();
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
   URL.revokeObjectURL(url);
 }
 
+/** Save the reference run in the HDF5 layout read by HDF5Data (e.g. to archive text-format runs) */
+async function saveAsHDF5() {
+  if (!data) { setStatus('No data loaded.'); return; }
+  const filename = runs[0].label + '.h5';
+  const opts = startLoading('Writing ' + filename + '…');
+  try {
+    const bytes = await data.saveHDF5(opts);
+    downloadBlob(new Blob([bytes], { type: 'application/x-hdf5' }), filename);
+    setStatus('Saved ' + filename + ' (' + fmtBytes(bytes.length) + ')');
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      setStatus('Saving cancelled.');
+    } else {
+      setStatus('Error: ' + e.message);
+      console.error(e);
+    }
+  } finally {
+    hideLoading();
+  }
+}
+
 async function downloadPlotAsPDF() {
   const activeTab = document.querySelector('.tab-pane.active');
   if (!activeTab) return;
-  const chartDiv = activeTab.querySelector('.chart-area > div[id], .source-charts > div[id]');
+  const chartDiv = activeTab.querySelector('.chart-area > div[id], .chart-stack > div[id]');
   if (!chartDiv || !chartDiv._fullLayout) {
     alert('No plot to export. Render a chart first.');
     return;
@@ -721,15 +3240,55 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // ---- Tabs ----
   document.querySelectorAll('.tab-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('.tab-btn').forEach(b => b.classList.remove('active'));
-      document.querySelectorAll('.tab-pane').forEach(p => p.classList.remove('active'));
-      btn.classList.add('active');
-      document.getElementById('tab-' + btn.dataset.tab).classList.add('active');
-      // Trigger resize so Plotly redraws correctly after tab switch
-      window.dispatchEvent(new Event('resize'));
-    });
+    btn.addEventListener('click', () => showTab(btn.dataset.tab));
+  });
+
+  // ---- List search ----
+  document.querySelectorAll('.list-filter').forEach(input =>
+    input.addEventListener('input', () => applyListFilter(input.dataset.table))
+  );
+  document.getElementById('react-filter-mode').addEventListener('change', () => applyListFilter('react-table'));
+
+  // ---- Cross-links ----
+  document.querySelector('#spec-table tbody').addEventListener('contextmenu', (e) => {
+    const tr = e.target.closest('tr');
+    if (!tr || !tr.dataset.idx) return;
+    e.preventDefault();
+    showSpeciesReactions(parseInt(tr.dataset.idx));
+  });
+  document.querySelector('#react-table tbody').addEventListener('contextmenu', (e) => {
+    const tr = e.target.closest('tr');
+    if (!tr || !tr.dataset.idx) return;
+    e.preventDefault();
+    showReactionSpecies(parseInt(tr.dataset.idx));
+  });
+  const reactionDialog = document.getElementById('reaction-dialog');
+  reactionDialog.querySelector('.modal-close').addEventListener('click', closeReactionDetail);
+  reactionDialog.addEventListener('click', (e) => { if (e.target === reactionDialog) closeReactionDetail(); });
+  reactionDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeReactionDetail(); });
+  document.querySelector('#reaction-table tbody').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr');
+    if (!tr) return;
+    closeReactionDetail();
+    showSpeciesSources(parseInt(tr.dataset.idx));
+  });
+  document.getElementById('reaction-plot-rate').addEventListener('click', () => {
+    closeReactionDetail();
+    showReactions([reactionDetail]);
   });
+  document.getElementById('reaction-plot-species').addEventListener('click', () => {
+    closeReactionDetail();
+    showReactionSpecies(reactionDetail);
+  });
+
+  // ---- Session state ----
+  window.addEventListener('pagehide', saveSession);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveSession();
+  });
+  // The theme is not tied to a dataset: start with the one used last
+  const last = Object.values(loadSessions()).sort((a, b) => b.savedAt - a.savedAt)[0];
+  if (last && last.lightTheme) setTheme(true);
 
   // ---- Menu: File ----
   document.getElementById('menu-open-h5').addEventListener('click', () =>
@@ -741,9 +3300,167 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('menu-open-dir').addEventListener('click', () =>
     document.getElementById('input-dir').click()
   );
-  document.getElementById('menu-export').addEventListener('click', exportCurrentPlot);
+  document.getElementById('menu-monitor').addEventListener('click', () =>
+    monitor ? stopMonitor() : startMonitor()
+  );
+  document.getElementById('menu-save-h5').addEventListener('click', saveAsHDF5);
+  document.getElementById('menu-save-view').addEventListener('click', saveViewFile);
+  document.getElementById('menu-open-view').addEventListener('click', () =>
+    document.getElementById('input-view').click()
+  );
+  document.getElementById('menu-export').addEventListener('click', openExportDialog);
   document.getElementById('menu-download-pdf').addEventListener('click', downloadPlotAsPDF);
 
+  document.getElementById('loading-cancel').addEventListener('click', () => {
+    if (loadAbort) loadAbort.abort();
+  });
+
+  // ---- Diagnostics ----
+  document.getElementById('diag-toggle').addEventListener('click', () =>
+    document.getElementById('diagnostics').classList.toggle('hidden')
+  );
+  document.getElementById('diag-close').addEventListener('click', () =>
+    document.getElementById('diagnostics').classList.add('hidden')
+  );
+
+  // ---- Menu: Analysis ----
+  document.getElementById('menu-derived').addEventListener('click', openDerivedEditor);
+
+  // ---- Derived series editor ----
+  const derivedDialog = document.getElementById('derived-dialog');
+  derivedDialog.querySelector('.modal-close').addEventListener('click', closeDerivedEditor);
+  derivedDialog.addEventListener('click', (e) => { if (e.target === derivedDialog) closeDerivedEditor(); });
+  derivedDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeDerivedEditor(); });
+  document.getElementById('derived-new').addEventListener('click', () => editDerived(null));
+  document.getElementById('derived-save').addEventListener('click', saveDerivedForm);
+  document.getElementById('derived-expr').addEventListener('input', previewDerived);
+  document.getElementById('derived-expr').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); saveDerivedForm(); }
+  });
+
+  // ---- Species balance ----
+  const balanceDialog = document.getElementById('balance-dialog');
+  document.getElementById('menu-balance').addEventListener('click', openBalanceDialog);
+  document.getElementById('btn-balance').addEventListener('click', openBalanceDialog);
+  balanceDialog.querySelector('.modal-close').addEventListener('click', closeBalanceDialog);
+  balanceDialog.addEventListener('click', (e) => { if (e.target === balanceDialog) closeBalanceDialog(); });
+  balanceDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeBalanceDialog(); });
+  document.getElementById('balance-species').addEventListener('change', computeBalance);
+  document.getElementById('balance-run').addEventListener('change', () => {
+    computeBalance();
+    if (balanceReport) computeBalanceReport();
+  });
+  document.getElementById('balance-all').addEventListener('click', computeBalanceReport);
+  document.getElementById('balance-export').addEventListener('click', exportBalanceReport);
+  document.querySelector('#balance-table tbody').addEventListener('click', (e) => {
+    const tr = e.target.closest('tr');
+    const index = tr ? data.species.indexOf(tr.dataset.name) + 1 : 0;
+    if (!index) return;
+    document.getElementById('balance-species').value = index;
+    computeBalance();
+  });
+
+  // ---- Series features ----
+  const featuresDialog = document.getElementById('features-dialog');
+  document.getElementById('menu-features').addEventListener('click', openFeaturesDialog);
+  featuresDialog.querySelector('.modal-close').addEventListener('click', closeFeaturesDialog);
+  featuresDialog.addEventListener('click', (e) => { if (e.target === featuresDialog) closeFeaturesDialog(); });
+  featuresDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeFeaturesDialog(); });
+  document.getElementById('features-fraction').addEventListener('change', computeFeatures);
+  document.getElementById('features-tolerance').addEventListener('change', computeFeatures);
+  document.getElementById('features-annotate').addEventListener('change', applyFeatureMarks);
+  document.getElementById('features-export').addEventListener('click', exportFeatures);
+  document.getElementById('features-clear').addEventListener('click', () => {
+    document.getElementById('features-annotate').checked = false;
+    applyFeatureMarks();
+  });
+
+  // ---- Timescale ranking ----
+  const timescaleDialog = document.getElementById('timescale-dialog');
+  document.getElementById('menu-timescales').addEventListener('click', openTimescaleDialog);
+  document.getElementById('btn-timescales').addEventListener('click', openTimescaleDialog);
+  timescaleDialog.querySelector('.modal-close').addEventListener('click', closeTimescaleDialog);
+  timescaleDialog.addEventListener('click', (e) => { if (e.target === timescaleDialog) closeTimescaleDialog(); });
+  timescaleDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeTimescaleDialog(); });
+  document.getElementById('timescale-time').addEventListener('change', computeTimescales);
+  document.getElementById('timescale-run').addEventListener('change', computeTimescales);
+  document.querySelectorAll('#timescale-table th[data-key]').forEach(th =>
+    th.addEventListener('click', () => sortTimescales(th.dataset.key)));
+  document.getElementById('timescale-export').addEventListener('click', exportTimescales);
+
+  // ---- Snapshot at a time ----
+  const snapshotDialog = document.getElementById('snapshot-dialog');
+  document.getElementById('menu-snapshot').addEventListener('click', () => openSnapshot());
+  snapshotDialog.querySelector('.modal-close').addEventListener('click', closeSnapshot);
+  snapshotDialog.addEventListener('click', (e) => { if (e.target === snapshotDialog) closeSnapshot(); });
+  snapshotDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeSnapshot(); });
+  document.getElementById('snapshot-time').addEventListener('change', computeSnapshot);
+  document.getElementById('snapshot-run').addEventListener('change', computeSnapshot);
+  document.getElementById('snapshot-kind').addEventListener('change', renderSnapshot);
+  document.getElementById('snapshot-filter').addEventListener('input', renderSnapshot);
+  document.querySelectorAll('#snapshot-table th[data-key]').forEach(th =>
+    th.addEventListener('click', () => sortSnapshot(th.dataset.key)));
+  document.getElementById('snapshot-export').addEventListener('click', exportSnapshot);
+  document.getElementById('snapshot-clear').addEventListener('click', () => setSnapshotMarker(null));
+
+  // ---- Production/loss budget ----
+  const budgetDialog = document.getElementById('budget-dialog');
+  document.getElementById('menu-budget').addEventListener('click', openBudgetDialog);
+  document.getElementById('btn-budget').addEventListener('click', openBudgetDialog);
+  budgetDialog.querySelector('.modal-close').addEventListener('click', closeBudgetDialog);
+  budgetDialog.addEventListener('click', (e) => { if (e.target === budgetDialog) closeBudgetDialog(); });
+  budgetDialog.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeBudgetDialog();
+    if (e.key === 'Enter' && e.target.tagName === 'INPUT') computeBudget();
+  });
+  document.getElementById('budget-compute').addEventListener('click', computeBudget);
+  document.getElementById('budget-export').addEventListener('click', exportBudget);
+  document.getElementById('budget-species').addEventListener('change', computeBudget);
+  document.getElementById('budget-run').addEventListener('change', computeBudget);
+  document.getElementById('budget-visible').addEventListener('click', () => {
+    setBudgetWindow(visibleTimeWindow());
+    computeBudget();
+  });
+  document.getElementById('budget-all').addEventListener('click', () => {
+    setBudgetWindow(null);
+    computeBudget();
+  });
+
+  // ---- Data export ----
+  const exportDialog = document.getElementById('export-dialog');
+  exportDialog.querySelector('.modal-close').addEventListener('click', closeExportDialog);
+  exportDialog.addEventListener('click', (e) => { if (e.target === exportDialog) closeExportDialog(); });
+  exportDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeExportDialog(); });
+  document.getElementById('export-scope').addEventListener('change', updateExportForm);
+  document.getElementById('export-resample').addEventListener('change', updateExportForm);
+  document.getElementById('export-visible').addEventListener('click', () => setExportWindow(visibleTimeWindow()));
+  document.getElementById('export-all').addEventListener('click', () => setExportWindow(null));
+  document.getElementById('export-go').addEventListener('click', runExport);
+
+  // ---- Dashboard ----
+  document.getElementById('btn-add-panel').addEventListener('click', () => openPanelEditor());
+  document.getElementById('btn-plot-dashboard').addEventListener('click', plotDashboard);
+  const dashboardGrid = document.getElementById('dashboard-grid');
+  const panelOf = (target) => {
+    const el = target.closest('.dash-panel');
+    return el && dashboard.find(p => p.id === parseInt(el.dataset.panel));
+  };
+  dashboardGrid.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    const panel = btn && panelOf(btn);
+    if (panel) panelAction(panel, btn.dataset.action);
+  });
+  dashboardGrid.addEventListener('change', (e) => {
+    const panel = e.target.dataset.action && panelOf(e.target);
+    if (panel) panelAction(panel, e.target.dataset.action, e.target.value);
+  });
+  const panelDialog = document.getElementById('panel-dialog');
+  panelDialog.querySelector('.modal-close').addEventListener('click', closePanelEditor);
+  panelDialog.addEventListener('click', (e) => { if (e.target === panelDialog) closePanelEditor(); });
+  panelDialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') closePanelEditor(); });
+  document.getElementById('panel-kind').addEventListener('change', () => fillPanelList([]));
+  document.getElementById('panel-save').addEventListener('click', savePanel);
+
   // ---- Menu: Options ----
   document.getElementById('menu-logtime').addEventListener('click', (e) => {
     logTimeScale = !logTimeScale;
@@ -751,14 +3468,13 @@ document.addEventListener('DOMContentLoaded', () => {
     refreshXScale();
   });
 
-  document.getElementById('theme-toggle').addEventListener('click', () => {
-    lightTheme = !lightTheme;
-    document.documentElement.dataset.theme = lightTheme ? 'light' : 'dark';
-    document.getElementById('theme-icon-dark').style.display  = lightTheme ? 'none' : '';
-    document.getElementById('theme-icon-light').style.display = lightTheme ? ''     : 'none';
-    refreshChartColors();
+  document.getElementById('menu-append-runs').addEventListener('click', (e) => {
+    appendRuns = !appendRuns;
+    e.currentTarget.classList.toggle('checked', appendRuns);
   });
 
+  document.getElementById('theme-toggle').addEventListener('click', () => setTheme(!lightTheme));
+
   // ---- Menu: Help ----
   document.getElementById('menu-github').addEventListener('click', () => {
     window.open('https://github.com/aluque/jsplaskin', '_blank');
@@ -786,12 +3502,31 @@ document.addEventListener('DOMContentLoaded', () => {
     if (e.target.files.length) await loadDirectory(e.target.files);
     e.target.value = '';
   });
+  document.getElementById('input-view').addEventListener('change', async (e) => {
+    if (e.target.files[0]) await openViewFile(e.target.files[0]);
+    e.target.value = '';
+  });
 
   // ---- Plot buttons ----
   document.getElementById('btn-plot-cond').addEventListener('click',   updateCondChart);
   document.getElementById('btn-plot-dens').addEventListener('click',   updateDensChart);
   document.getElementById('btn-plot-react').addEventListener('click',  updateReactChart);
   document.getElementById('btn-plot-src').addEventListener('click',    updateSourceChart);
+  document.getElementById('btn-plot-cons').addEventListener('click',   updateConservationCharts);
+  document.getElementById('btn-plot-pw').addEventListener('click',     updatePathwayChart);
+  document.getElementById('dens-mode').addEventListener('change', () => {
+    if (document.getElementById('dens-chart')._fullLayout) updateDensChart();
+  });
+  document.getElementById('src-rank').addEventListener('change', () => {
+    if (document.getElementById('creation-chart')._fullLayout) updateSourceChart();
+  });
+  document.getElementById('src-mode').addEventListener('change', () => {
+    if (document.getElementById('creation-chart')._fullLayout) updateSourceChart();
+  });
+  document.getElementById('pw-mode').addEventListener('change', showPathwayMode);
+  document.getElementById('cons-elements').addEventListener('change', () => {
+    if (document.getElementById('charge-chart')._fullLayout) updateConservationCharts();
+  });
 
   // ---- Drag-and-drop ----
   const overlay = document.getElementById('drop-overlay');
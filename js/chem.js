@@ -0,0 +1,172 @@
+// ============================================================
+// chem.js  –  Reaction label and species name parsing for JSPlaskin
+// ============================================================
+//
+// Reaction labels such as "e + O2 => O + O-" or "2O + M -> O2 + M" encode
+// the stoichiometry of a mechanism. The functions here turn them into
+// net coefficients per species, matched against the species list, and
+// read the composition and charge of species names.
+
+const ARROW_RE = /<=>|<->|=>|->|→|=/;
+
+/**
+ * Parse a reaction label against a species list.
+ * speciesIndex: Map name -> 0-based index.
+ * Returns { coeffs: Map index -> net coefficient, unknown: string[] } or
+ * { error } when the label can't be read as "reactants arrow products".
+ * Terms naming no known species are ignored; those that don't cancel out
+ * (photons, wall, … but not a third body M on both sides) are listed in
+ * `unknown`.
+ */
+export function parseReaction(label, speciesIndex) {
+  const text = String(label).split('!')[0].trim(); // drop trailing comments
+  const m = text.match(ARROW_RE);
+  if (!m) return { error: 'no reaction arrow (->, =>, …)' };
+  const lhs = text.slice(0, m.index).trim();
+  const rhs = text.slice(m.index + m[0].length).trim();
+  if (!lhs) return { error: 'no reactants' };
+  if (!rhs) return { error: 'no products' };
+
+  const coeffs = new Map();
+  const unknownNet = new Map();
+  for (const [side, sign] of [[lhs, -1], [rhs, 1]]) {
+    const terms = parseSide(side, speciesIndex);
+    if (!terms) return { error: 'cannot read "' + side + '"' };
+    for (const { name, coeff } of terms) {
+      const idx = speciesIndex.get(name);
+      const target = idx === undefined ? unknownNet : coeffs;
+      const key = idx === undefined ? name : idx;
+      const net = (target.get(key) || 0) + sign * coeff;
+      if (net === 0) target.delete(key);
+      else target.set(key, net);
+    }
+  }
+  return { coeffs, unknown: [...unknownNet.keys()] };
+}
+
+/**
+ * Split one side of a reaction into [{ name, coeff }].
+ * Terms are normally separated by " + "; when they aren't (e.g. "e+O2")
+ * the side is matched against the species list, which also copes with
+ * charged names ending in "+" ("O2^++e").
+ */
+function parseSide(side, speciesIndex) {
+  const spaced = side.split(/\s+\+\s+/);
+  const terms = spaced.map(t => parseTerm(t.trim(), speciesIndex));
+  if (terms.every(t => t && speciesIndex.has(t.name))) return terms;
+
+  const compact = matchCompact(side.replace(/\s+/g, ''), speciesIndex);
+  if (compact) return compact;
+  // Fall back to the spaced split, keeping unknown names for the report
+  return terms.every(Boolean) ? terms : null;
+}
+
+/** "2O", "2 O", "2*O" or "O" -> { name, coeff } */
+function parseTerm(term, speciesIndex) {
+  if (!term) return null;
+  if (speciesIndex.has(term)) return { name: term, coeff: 1 };
+  const m = term.match(/^(\d+)\s*\*?\s*(\S.*)$/);
+  if (m) return { name: m[2], coeff: parseInt(m[1]) };
+  return { name: term, coeff: 1 };
+}
+
+/**
+ * Match a side written without spaces against the species list, trying
+ * the longest names first and backtracking. Returns null unless every
+ * term is a known species.
+ */
+function matchCompact(s, speciesIndex) {
+  const names = [...speciesIndex.keys()].sort((a, b) => b.length - a.length);
+  const walk = (pos) => {
+    if (pos === s.length) return [];
+    const cm = s.slice(pos).match(/^(\d+)\*?/);
+    const starts = cm ? [[pos, 1], [pos + cm[0].length, parseInt(cm[1])]] : [[pos, 1]];
+    for (const [start, coeff] of starts) {
+      for (const name of names) {
+        if (!s.startsWith(name, start)) continue;
+        const end = start + name.length;
+        if (end < s.length && s[end] !== '+') continue;
+        const rest = walk(end === s.length ? end : end + 1);
+        if (rest) return [{ name, coeff }, ...rest];
+      }
+    }
+    return null;
+  };
+  return walk(0);
+}
+
+/**
+ * Build a stoichiometric matrix [n_species][n_reactions] from reaction
+ * labels. Returns { matrix, problems } where problems lists
+ * { reaction (1-based), severity, message }: errors for labels that could
+ * not be parsed (their column is left at zero), warnings for labels that
+ * mention unknown species.
+ */
+export function deriveSourceMatrix(species, reactions) {
+  const speciesIndex = new Map(species.map((name, i) => [name, i]));
+  const matrix = species.map(() => new Array(reactions.length).fill(0));
+  const problems = [];
+  reactions.forEach((label, r) => {
+    const parsed = parseReaction(label, speciesIndex);
+    if (parsed.error) {
+      problems.push({ reaction: r + 1, severity: 'error', message: '"' + label + '": ' + parsed.error });
+      return;
+    }
+    for (const [i, c] of parsed.coeffs) matrix[i][r] = c;
+    if (parsed.unknown.length) {
+      problems.push({ reaction: r + 1, severity: 'warning',
+                      message: '"' + label + '": not in the species list, ignored: ' + parsed.unknown.join(', ') });
+    }
+  });
+  return { matrix, problems };
+}
+
+// --------------- Species composition ------------------------
+
+const ELEMENTS = new Set((
+  'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn ' +
+  'Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce ' +
+  'Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn ' +
+  'Fr Ra Ac Th Pa U Np Pu D'
+).split(' '));
+
+/**
+ * Elemental composition and charge of a species name.
+ * Understands the usual ZDPlasKin conventions: "e" for electrons, a
+ * trailing charge ("O2^+", "O-", "O4^++", "N^2+"), excited states in
+ * parentheses or marked with "*" ("N2(A3)", "O(1D)", "O2*"), and formulas
+ * with repeated elements ("CH3OH").
+ * Returns { elements: Map symbol -> count, charge, electron } or null when
+ * the name can't be read (e.g. "M" or "ANY_NEUTRAL").
+ */
+export function parseSpecies(name) {
+  const s = String(name).trim();
+  if (s === 'e' || s === 'e-') return { elements: new Map(), charge: -1, electron: true };
+
+  let charge = 0;
+  let body = s;
+  // A count before the signs only follows "^" ("N^2+"): in "O2-" the 2 is the formula's
+  const cm = body.match(/(?:\^(\d*))?([+-]+)$/);
+  if (cm && cm.index > 0) {
+    const sign = cm[2][0] === '+' ? 1 : -1;
+    if (cm[1] && cm[2].length > 1) return null;           // "^2++" is ambiguous
+    if (cm[2].split('').some(c => c !== cm[2][0])) return null;
+    charge = sign * (cm[1] ? parseInt(cm[1]) : cm[2].length);
+    body = body.slice(0, cm.index);
+  }
+  // Excitation: "(A3)", "(v1)", "*", "'" and "_" suffixes such as "N2_v1"
+  body = body.replace(/\([^()]*\)/g, '').replace(/[*']+/g, '').replace(/_.*$/, '');
+  if (!body) return null;
+
+  const elements = new Map();
+  const re = /([A-Z][a-z]?)(\d*)/y;
+  let pos = 0;
+  while (pos < body.length) {
+    re.lastIndex = pos;
+    const m = re.exec(body);
+    if (!m || !ELEMENTS.has(m[1])) return null;
+    elements.set(m[1], (elements.get(m[1]) || 0) + (m[2] ? parseInt(m[2]) : 1));
+    pos = re.lastIndex;
+  }
+  return { elements, charge, electron: false };
+}
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// ============================================================
+// cli.js  –  Command-line tool for JSPlaskin
+// ============================================================
+//
+// Batch access to the same loaders and analysis as the web app, see
+// USAGE below or run `jsplaskin --help`.
+
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { openRun, splitSources, filterRates, arrMax, integrate, speciesBalance, seriesToCSV } from './node.js';
+
+const USAGE = `Usage: jsplaskin <command> <input> [arguments] [options]
+
+<input> is an HDF5 file, a ZIP archive, or a directory of qt_*.txt files.
+
+Commands:
+  info <input>                        Summary of the run and its validation issues
+  species <input>                     List species (index and name)
+  reactions <input>                   List reactions
+  conditions <input>                  List conditions
+  dump <input> densities|rates|conditions [name|index ...]
+                                      Write series as CSV (all of them by default)
+  top <input> <species>               Main production and loss reactions of a species,
+                                      ranked as in the Sensitivity tab
+  balance <input> [species ...]       Check each species' net chemical source against its
+                                      numerical dn/dt (all species by default)
+  convert <input> <output.h5>         Save the run as an HDF5 file (main/ layout)
+
+Options:
+  -o, --output <file>    dump, balance: write to a file instead of stdout
+  -f, --filter <delta>   top: relative threshold, 0 shows all (default 0.01)
+      --max <n>          top: reactions kept above the threshold (default 8)
+      --min <n>          top: reactions always kept (default 1)
+      --rank <metric>    top: rank by the peak rate or its time integral (peak, integral)
+  -h, --help             Show this help`;
+
+// dump kind -> [list property, accessor, preload kind]
+const KINDS = {
+  densities:  ['species',    'density',   'density'],
+  rates:      ['reactions',  'rate',      'rate'],
+  conditions: ['conditions', 'condition', 'condition'],
+};
+
+const COMMANDS = {
+  async info(run) {
+    const issues = run.validate();
+    const count = sev => issues.filter(i => i.severity === sev).length;
+    const lines = [
+      'Timesteps:  ' + run.t.length + (run.t.length ? '  (' + run.t[0] + ' … ' + run.t[run.t.length - 1] + ' s)' : ''),
+      'Species:    ' + run.species.length,
+      'Reactions:  ' + run.reactions.length,
+      'Conditions: ' + run.conditions.length,
+      'Issues:     ' + count('error') + ' error(s), ' + count('warning') + ' warning(s)',
+      ...issues.map(i => '  ' + i.severity + ': ' + [i.file, i.where].filter(Boolean).join(' ') + ': ' + i.message),
+    ];
+    return lines.join('\n') + '\n';
+  },
+
+  species:    run => listNames(run.species),
+  reactions:  run => listNames(run.reactions),
+  conditions: run => listNames(run.conditions),
+
+  async dump(run, [kind, ...specs]) {
+    if (!KINDS[kind]) throw new Error('dump: expected densities, rates or conditions, got ' + (kind || 'nothing'));
+    const [listKey, accessor, preloadKind] = KINDS[kind];
+    const list = run[listKey];
+    const keys = specs.length ? specs.map(s => resolveKey(list, s, listKey)) : list.map((_, i) => i + 1);
+    await run.preload(preloadKind, keys);
+    return seriesToCSV(run.t, keys.map(k => ({ name: list[k - 1], values: run[accessor](k) })));
+  },
+
+  async top(run, [spec], opts) {
+    if (!spec) throw new Error('top: name the species');
+    const spIdx = resolveKey(run.species, spec, 'species');
+    const delta = numberOption(opts.filter, 'filter');
+    const max = countOption(opts.max, 'max'), min = countOption(opts.min, 'min');
+    await run.preloadSources(spIdx);
+    const { creation, removal } = splitSources(run.sources(spIdx));
+    const [score, what] = {
+      peak:     [arrMax, 'peak rate [cm⁻³ s⁻¹]'],
+      integral: [y => integrate(run.t, y), 'integral [cm⁻³]'],
+    }[opts.rank] || [];
+    if (!score) throw new Error('--rank expects peak or integral, got ' + opts.rank);
+
+    const section = (title, { ids, weighted }) => {
+      const ranked = filterRates(weighted, ids, delta, max, min, score);
+      const rows = ranked.map((id, i) =>
+        (i + 1) + '\t' + id + '\t' + score(weighted[id]).toExponential(3) + '\t' + run.reactions[id - 1]);
+      return [title + ' of ' + run.species[spIdx - 1] + ' (rank, reaction, ' + what + ', label)',
+              ...(rows.length ? rows : ['  none'])].join('\n');
+    };
+    return section('Production', creation) + '\n\n' + section('Loss', removal) + '\n';
+  },
+
+  async balance(run, specs) {
+    const keys = specs.length ? specs.map(s => resolveKey(run.species, s, 'species')) : run.species.map((_, i) => i + 1);
+    const rows = [];
+    for (const needs of run.sourceBatches(keys)) {
+      await run.withSeries(needs, () => needs.density.forEach(k =>
+        rows.push({ k, ...speciesBalance(run.sources(k), run.t, run.density(k)) })));
+    }
+    rows.sort((a, b) => (b.meanRelative || 0) - (a.meanRelative || 0));
+    const pct = v => isFinite(v) ? (100 * v).toFixed(2) : 'nan';
+    return ['index\tspecies\tmax_residual_percent\tat_time_s\tmean_residual_percent',
+            ...rows.map(r => [r.k, run.species[r.k - 1], pct(r.maxRelative), r.timeOfMax, pct(r.meanRelative)].join('\t')),
+    ].join('\n') + '\n';
+  },
+
+  async convert(run, [output]) {
+    if (!output) throw new Error('convert: missing <output.h5>');
+    await run.saveHDF5({ path: output });
+    return '';
+  },
+};
+
+function listNames(names) {
+  return names.map((name, i) => (i + 1) + '\t' + name).join('\n') + '\n';
+}
+
+/** 1-based key of an exact name, or of a 1-based index */
+function resolveKey(list, spec, what) {
+  const idx = list.indexOf(spec);
+  if (idx >= 0) return idx + 1;
+  if (/^\d+$/.test(spec) && +spec >= 1 && +spec <= list.length) return +spec;
+  throw new Error('Unknown ' + what + ': ' + spec);
+}
+
+function numberOption(value, name) {
+  const n = Number(value);
+  if (value === '' || !isFinite(n) || n < 0) throw new Error('--' + name + ' expects a non-negative number, got ' + value);
+  return n;
+}
+
+/** Options used as a count or slice bound: whole numbers only */
+function countOption(value, name) {
+  if (!/^\d+$/.test(value)) throw new Error('--' + name + ' expects a non-negative integer, got ' + value);
+  return +value;
+}
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      filter: { type: 'string', short: 'f', default: '0.01' },
+      max:    { type: 'string', default: '8' },
+      min:    { type: 'string', default: '1' },
+      rank:   { type: 'string', default: 'peak' },
+      help:   { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command, input, ...rest] = positionals;
+  if (opts.help || !command) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  if (!COMMANDS[command]) throw new Error('Unknown command: ' + command + '\n\n' + USAGE);
+  if (!input) throw new Error(command + ': missing <input>');
+
+  const run = await openRun(input);
+  try {
+    const out = await COMMANDS[command](run, rest, opts);
+    if (opts.output) await writeFile(opts.output, out);
+    else process.stdout.write(out);
+  } finally {
+    await run.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(e => {
+  process.stderr.write('jsplaskin: ' + e.message + '\n');
+  process.exitCode = 1;
+});
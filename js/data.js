@@ -2,6 +2,10 @@
 // data.js  –  Data models for JSPlaskin
 // ============================================================
 
+import { ColumnBuffer, IssueLog, findFile, parseDataBlob } from './parse.js';
+import { deriveSourceMatrix } from './chem.js';
+import { OPS } from './loader-ops.js';
+
 // --------------- Base class ---------------------------------
 
 export class ModelData {
@@ -11,6 +15,9 @@ export class ModelData {
     this.conditions = [];   // string[]
     this.t          = [];   // number[]  (time points)
     this.sourceMatrix = []; // number[][] [n_species][n_reactions]
+    this.matrixSource = ''; // where sourceMatrix came from, for validation messages
+    this.issues       = []; // problems found while loading, see validate()
+    this._matrixIssues = null;
   }
 
   // Override in subclasses
@@ -18,27 +25,344 @@ export class ModelData {
   rate(key)      { throw new Error('Not implemented'); }
   condition(key) { throw new Error('Not implemented'); }
 
+  /**
+   * Make series available to the synchronous accessors above.
+   * kind: 'density' | 'rate' | 'condition'; keys: 1-based indices.
+   * Loaders that keep everything in memory have nothing to do; callers
+   * must still await this before reading series that may be on disk.
+   */
+  async preload(kind, keys) {}
+
+  /**
+   * Preload the series in `needs` ({ density, rate, condition: 1-based
+   * keys }) and keep them readable until fn has finished; resolves to fn's
+   * result. preload() only guarantees its series until the next preload,
+   * so anything that reads after another await, or needs several preloads
+   * at once, goes through here.
+   */
+  async withSeries(needs, fn) {
+    await Promise.all(Object.entries(needs).map(([kind, keys]) => this.preload(kind, keys)));
+    return await fn();
+  }
+
+  /**
+   * Rows start…end-1 of the series `keys` of one kind, for what is needed
+   * at one time only; whole series are not kept for it. Resolves to arrays
+   * aligned with keys (undefined for unknown keys).
+   */
+  async readRows(kind, keys, start, end) {
+    return this.withSeries({ [kind]: keys }, () => keys.map(k => {
+      const y = this[kind](k);
+      return y && y.slice(start, end);
+    }));
+  }
+
+  /** How many series may be held in memory at once (see sourceBatches) */
+  get seriesBudget() { return Infinity; }
+
+  /** Whether the run is still being written and grows with update() */
+  get live() { return false; }
+
+  /** Release resources held by the loader (open files, workers, caches) */
+  async close() {}
+
+  /**
+   * Write the run as an HDF5 file in the main/ layout (see README), which
+   * HDF5Data reads back; every series is loaded first.
+   * options.path (Node only): write to this file instead of returning its
+   * bytes. options.onProgress / options.signal: see LoaderWorker.call.
+   * Resolves to a Uint8Array, or null when a path was given.
+   */
+  async saveHDF5(options = {}) {
+    const groups = {};
+    for (const [kind, list] of [['density', this.species], ['rate', this.reactions], ['condition', this.conditions]]) {
+      const keys = list.map((_, i) => i + 1);
+      await this.preload(kind, keys);
+      groups[kind] = { names: list, arrays: keys.map(k => this[kind](k)) };
+    }
+
+    // Stored flat, row-major; a ragged matrix would not read back, so it is left out
+    let sourceMatrix = null;
+    const nSpec = this.sourceMatrix.length;
+    const nRxn  = nSpec ? this.sourceMatrix[0].length : 0;
+    if (nRxn && this.sourceMatrix.every(row => row.length === nRxn)) {
+      const flat = new Float64Array(nSpec * nRxn);
+      this.sourceMatrix.forEach((row, i) => flat.set(row, i * nRxn));
+      sourceMatrix = { data: flat, shape: [nSpec, nRxn] };
+    }
+
+    const loader = createLoader();
+    try {
+      return await loader.call('h5-write', { path: options.path, t: this.t, groups, sourceMatrix }, options);
+    } finally {
+      loader.terminate();
+    }
+  }
+
+  /**
+   * Validation report: the issues found by the loader plus structural
+   * checks of the source matrix. Each issue is
+   * { severity: 'error' | 'warning', file, where, message }.
+   */
+  validate() {
+    if (!this._matrixIssues) this._matrixIssues = this._checkMatrix();
+    return [...this.issues, ...this._matrixIssues];
+  }
+
+  /**
+   * Build sourceMatrix from the reaction labels, for runs that don't
+   * supply one. `missing` names the absent matrix file or dataset and
+   * `listSource` where the labels came from; both are used in the report.
+   */
+  deriveSourceMatrix(missing, listSource) {
+    const { matrix, problems } = deriveSourceMatrix(this.species, this.reactions);
+    this.sourceMatrix = matrix;
+    this.matrixSource = listSource;
+    this.issues.push({ severity: 'warning', file: missing, where: '',
+                       message: 'not found: derived from the reaction labels' });
+    // Every problem is listed: these are the reactions missing from the analysis
+    for (const p of problems) {
+      this.issues.push({ severity: p.severity, file: listSource, where: 'reaction ' + p.reaction, message: p.message });
+    }
+  }
+
+  _checkMatrix() {
+    const log = new IssueLog();
+    const sm = this.sourceMatrix;
+    const file = this.matrixSource;
+    if (!sm || !sm.length) return [];
+    if (sm.length !== this.species.length) {
+      log.add('shape', 'error', file, '', sm.length + ' rows, but there are ' +
+              this.species.length + ' species');
+    }
+    sm.forEach((row, i) => {
+      if (row.length !== this.reactions.length) {
+        log.add('shape', 'error', file, 'row ' + (i + 1), row.length + ' entries, but there are ' +
+                this.reactions.length + ' reactions');
+      }
+      const bad = Array.prototype.findIndex.call(row, v => !isFinite(v));
+      if (bad >= 0) {
+        log.add('nonfinite', 'error', file, 'row ' + (i + 1), row[bad] + ' coefficient for reaction ' + (bad + 1));
+      }
+    });
+    return log.finish();
+  }
+
+  /** 1-based indices of the reactions with a non-zero coefficient for a species */
+  sourceReactions(speciesIndex) {
+    const row = this.sourceMatrix && this.sourceMatrix[speciesIndex - 1];
+    if (!row) return [];
+    const ids = [];
+    for (let rIdx = 0; rIdx < this.reactions.length; rIdx++) {
+      if (row[rIdx] !== 0) ids.push(rIdx + 1);
+    }
+    return ids;
+  }
+
   /**
    * Returns { reactionIdx (1-based): number[] (rate * stoich coeff) }
    * Positive values = production, negative = consumption
+   * The rates must have been preloaded (see preloadSources), unless
+   * `rate` (1-based reaction key -> values) supplies them.
    */
-  sources(speciesIndex) {
+  sources(speciesIndex, rate = rId => this.rate(rId)) {
     const result = {};
-    const sIdx = speciesIndex - 1; // 0-based
-    const sm = this.sourceMatrix;
-    if (!sm || !sm[sIdx]) return result;
+    const row = this.sourceMatrix[speciesIndex - 1];
+    for (const rId of this.sourceReactions(speciesIndex)) {
+      const coeff = row[rId - 1];
+      const rateArr = rate(rId);
+      if (rateArr) {
+        result[rId] = rateArr.map(v => v * coeff);
+      }
+    }
+    return result;
+  }
 
-    for (let rIdx = 0; rIdx < this.reactions.length; rIdx++) {
-      const coeff = sm[sIdx][rIdx];
-      if (coeff !== 0) {
-        const rateArr = this.rate(rIdx + 1);
-        if (rateArr) {
-          result[rIdx + 1] = rateArr.map(v => v * coeff);
-        }
+  preloadSources(speciesIndex) {
+    return this.preload('rate', this.sourceReactions(speciesIndex));
+  }
+
+  /**
+   * Split species (1-based keys) into batches whose densities and source
+   * reaction rates fit seriesBudget together; a species that alone does
+   * not fit gets a batch of its own. Returns the needs of withSeries():
+   * [{ density: species keys, rate: reaction keys }].
+   */
+  sourceBatches(speciesKeys) {
+    const batches = [];
+    let batch = null;
+    for (const k of speciesKeys) {
+      const ids = this.sourceReactions(k);
+      const added = 1 + (batch ? ids.filter(id => !batch.rate.has(id)).length : ids.length);
+      if (!batch || batch.density.length + batch.rate.size + added > this.seriesBudget) {
+        batch = { density: [], rate: new Set() };
+        batches.push(batch);
       }
+      batch.density.push(k);
+      ids.forEach(id => batch.rate.add(id));
     }
+    return batches.map(b => ({ density: b.density, rate: [...b.rate] }));
+  }
+
+  /** Split 1-based keys of one kind into batches of at most seriesBudget series */
+  seriesBatches(keys) {
+    const size = Math.min(this.seriesBudget, keys.length) || 1;
+    const batches = [];
+    for (let i = 0; i < keys.length; i += size) batches.push(keys.slice(i, i + size));
+    return batches;
+  }
+
+  /** withSeries() for sources() and the density of one species */
+  withSources(speciesIndex, fn) {
+    return this.withSeries({ rate: this.sourceReactions(speciesIndex), density: [speciesIndex] }, fn);
+  }
+}
+
+// --------------- Loader worker ------------------------------
+
+/**
+ * Promise-based client for worker.js.
+ * call() options: onProgress(p) for progress messages and an AbortSignal;
+ * aborting terminates the worker and rejects every pending call with an
+ * AbortError.
+ */
+export class LoaderWorker {
+  constructor() {
+    this._worker  = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    this._nextId  = 0;
+    this._pending = new Map(); // id -> { resolve, reject, onProgress }
+
+    this._worker.onmessage = (e) => {
+      const { id, type } = e.data;
+      const p = this._pending.get(id);
+      if (!p) return;
+      if (type === 'progress') {
+        if (p.onProgress) p.onProgress(e.data);
+        return;
+      }
+      this._pending.delete(id);
+      if (type === 'result') p.resolve(e.data.result);
+      else p.reject(new Error(e.data.message));
+    };
+    this._worker.onerror = (e) => {
+      e.preventDefault();
+      this._failAll(new Error('Loader worker failed: ' + (e.message || 'unknown error')));
+    };
+  }
+
+  call(op, args, { onProgress = null, signal = null } = {}) {
+    if (signal && signal.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+      const id = ++this._nextId;
+      // Only this call is cancellable: a file kept open by the worker
+      // must outlive the signal of the load that opened it
+      const onAbort = () => this.terminate(abortError());
+      const settle = fn => v => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        fn(v);
+      };
+      this._pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress });
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      this._worker.postMessage({ id, op, args });
+    });
+  }
+
+  terminate(reason = new Error('Loader worker terminated')) {
+    this._worker.terminate();
+    this._failAll(reason);
+  }
+
+  _failAll(err) {
+    for (const p of this._pending.values()) p.reject(err);
+    this._pending.clear();
+  }
+}
+
+/**
+ * Same interface as LoaderWorker, running the operations on the calling
+ * thread. Used where Web Workers don't exist (Node); the signal is only
+ * checked before the call starts.
+ */
+export class InProcessLoader {
+  async call(op, args, { onProgress = null, signal = null } = {}) {
+    if (signal && signal.aborted) throw abortError();
+    const { result } = await OPS[op](args, p => { if (onProgress) onProgress(p); });
     return result;
   }
+
+  terminate() {}
+}
+
+/** A LoaderWorker, or an InProcessLoader where workers aren't available */
+function createLoader() {
+  return typeof Worker === 'undefined' ? new InProcessLoader() : new LoaderWorker();
+}
+
+function abortError() {
+  const e = new Error('Loading cancelled');
+  e.name = 'AbortError';
+  return e;
+}
+
+// --------------- Dataset cache -----------------------------
+
+/**
+ * Least-recently-used cache of typed arrays, bounded by total size in bytes.
+ * The most recently inserted entry is always kept, even if it alone
+ * exceeds the budget, as are pinned keys: the budget is restored by the
+ * insertions that follow once they are unpinned.
+ */
+export class DatasetCache {
+  constructor(maxBytes = 256 * 1024 * 1024) {
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    this._map = new Map();  // insertion order = recency
+    this._pins = new Map(); // key -> number of pin() calls not yet undone
+  }
+
+  get(key) {
+    const arr = this._map.get(key);
+    if (arr === undefined) return undefined;
+    this._map.delete(key);
+    this._map.set(key, arr);
+    return arr;
+  }
+
+  set(key, arr) {
+    if (this._map.has(key)) this._delete(key);
+    this._map.set(key, arr);
+    this.bytes += arr.byteLength;
+    for (const oldKey of this._map.keys()) {
+      if (this.bytes <= this.maxBytes || oldKey === key) break;
+      if (this._pins.has(oldKey)) continue;
+      this._delete(oldKey);
+    }
+  }
+
+  has(key) { return this._map.has(key); }
+
+  /** Protect keys from eviction, present or still to be set; pins nest */
+  pin(keys) {
+    for (const key of keys) this._pins.set(key, (this._pins.get(key) || 0) + 1);
+  }
+
+  unpin(keys) {
+    for (const key of keys) {
+      const n = this._pins.get(key) - 1;
+      if (n > 0) this._pins.set(key, n);
+      else this._pins.delete(key);
+    }
+  }
+
+  clear() {
+    this._map.clear();
+    this.bytes = 0;
+  }
+
+  _delete(key) {
+    this.bytes -= this._map.get(key).byteLength;
+    this._map.delete(key);
+  }
 }
 
 // --------------- HDF5 Data ----------------------------------
@@ -46,116 +370,139 @@ export class ModelData {
 export class HDF5Data extends ModelData {
   constructor() {
     super();
-    this._densities  = {}; // 1-based index -> number[]
-    this._rates      = {};
-    this._conditions = {};
+    this._worker = null; // LoaderWorker (or InProcessLoader) that keeps the file open
+    this._handle = null; // file handle inside the loader
+    this._paths  = { density: [], rate: [], condition: [] }; // 0-based -> dataset path
+    this._shapes = { density: [], rate: [], condition: [] }; // 0-based -> dataset shape
+    this._cache  = new DatasetCache();
   }
 
-  static async fromFile(file) {
+  /** options: { onProgress, signal } (see LoaderWorker.call) */
+  static async fromFile(file, options = {}) {
     const inst = new HDF5Data();
-    await inst._load(file);
+    await inst._load({ file }, options);
     return inst;
   }
 
-  async _load(file) {
-    // Dynamic import of h5wasm from CDN
-    let hdf5;
+  /** Node only: open a local file by path, read in place rather than copied */
+  static async fromPath(path, options = {}) {
+    const inst = new HDF5Data();
+    await inst._load({ path }, options);
+    return inst;
+  }
+
+  /**
+   * Open the file in a worker and read names and shapes only; dataset
+   * values are fetched by preload() the first time they are needed.
+   */
+  async _load(source, options) {
+    this._worker = createLoader();
+    let meta;
     try {
-      // Try specific version first, fall back to latest
-      try {
-        hdf5 = await import('https://cdn.jsdelivr.net/npm/h5wasm@0.7.2/dist/esm/hdf5_hl.js');
-      } catch (_) {
-        hdf5 = await import('https://cdn.jsdelivr.net/npm/h5wasm/dist/esm/hdf5_hl.js');
-      }
-      await hdf5.ready;
+      meta = await this._worker.call('h5-open', source, options);
     } catch (e) {
-      throw new Error('Failed to load HDF5 library. Check your internet connection. ' + e.message);
+      await this.close();
+      throw e;
+    }
+    this._handle = meta.handle;
+    this.t = meta.t;
+    this.issues = meta.issues;
+    this.matrixSource = meta.root + '/source_matrix';
+
+    const { density, rate, condition } = meta.groups;
+    this.species    = density.names;
+    this.reactions  = rate.names;
+    this.conditions = condition.names;
+    for (const kind of ['density', 'rate', 'condition']) {
+      this._paths[kind]  = meta.groups[kind].paths;
+      this._shapes[kind] = meta.groups[kind].shapes;
     }
 
-    const buffer = await file.arrayBuffer();
-    const fname = 'jsplaskin_tmp.h5';
-    hdf5.FS.writeFile(fname, new Uint8Array(buffer));
+    // Source matrix: one row view per species into a single typed array
+    this.sourceMatrix = [];
+    if (meta.sourceMatrix) {
+      const { data: smVal, shape: [nSpec, nRxn] } = meta.sourceMatrix;
+      for (let i = 0; i < nSpec; i++) {
+        this.sourceMatrix.push(smVal.subarray(i * nRxn, (i + 1) * nRxn));
+      }
+    } else {
+      this.deriveSourceMatrix(meta.root + '/source_matrix', meta.root + '/rate');
+    }
+  }
 
-    let f;
+  async preload(kind, keys) {
+    const wanted = this._pathsOf(kind, keys);
+    const missing = wanted.filter(path => !this._cache.has(path));
+    if (!missing.length || !this._worker) return;
+    // Neither other preloads finishing meanwhile nor this batch, when it is
+    // larger than the budget, may evict what this one needs
+    this._cache.pin(wanted);
     try {
-      f = new hdf5.File(fname, 'r');
-      await this._parseH5(f);
+      const { arrays, issues } = await this._worker.call('h5-read', { handle: this._handle, paths: missing });
+      // Values are only validated as they are read; keep each report once
+      for (const issue of issues) {
+        if (!this.issues.some(i => i.file === issue.file && i.message === issue.message)) this.issues.push(issue);
+      }
+      missing.forEach((path, i) => this._cache.set(path, arrays[i]));
     } finally {
-      if (f) try { f.close(); } catch (_) {}
-      try { hdf5.FS.unlink(fname); } catch (_) {}
+      this._cache.unpin(wanted);
     }
   }
 
-  async _parseH5(f) {
-    // Detect format: modern (main/) or legacy (zdplaskin/)
-    let root = 'main';
+  async withSeries(needs, fn) {
+    const paths = Object.entries(needs).flatMap(([kind, keys]) => this._pathsOf(kind, keys));
+    this._cache.pin(paths);
     try {
-      f.get('main/t');
-    } catch (_) {
-      try {
-        f.get('zdplaskin/t');
-        root = 'zdplaskin';
-      } catch (_2) {
-        throw new Error('Unrecognised HDF5 structure (expected main/ or zdplaskin/ group)');
-      }
+      return await super.withSeries(needs, fn);
+    } finally {
+      this._cache.unpin(paths);
     }
+  }
 
-    // Read time
-    this.t = Array.from(f.get(root + '/t').value);
-
-    // Read source matrix
-    try {
-      const smDs = f.get(root + '/source_matrix');
-      const smVal = smDs.value;
-      const [nSpec, nRxn] = smDs.shape;
-      this.sourceMatrix = [];
-      for (let i = 0; i < nSpec; i++) {
-        this.sourceMatrix.push(Array.from(smVal.slice(i * nRxn, (i + 1) * nRxn)));
-      }
-    } catch (_) {
-      this.sourceMatrix = [];
+  async readRows(kind, keys, start, end) {
+    const paths = keys.map(k => this._paths[kind][k - 1]);
+    // Cached series are cut before the read, which may evict them
+    const rows = new Map(paths.filter(p => p && this._cache.has(p)).map(p => [p, this._cache.get(p).slice(start, end)]));
+    const missing = [...new Set(paths.filter(p => p && !rows.has(p)))];
+    if (missing.length && this._worker) {
+      const { arrays } = await this._worker.call('h5-read', { handle: this._handle, paths: missing, rows: [start, end] });
+      missing.forEach((path, i) => rows.set(path, arrays[i]));
     }
+    return paths.map(p => rows.get(p));
+  }
 
-    // Helper: read a numbered group (0001, 0002, …)
-    const readGroup = (groupPath) => {
-      const group = f.get(groupPath);
-      const rawKeys = group.keys();
-      // Sort numerically
-      const keys = rawKeys.sort((a, b) => parseInt(a) - parseInt(b));
-      const names = [];
-      const dataMap = {};
-      for (const key of keys) {
-        const ds = f.get(groupPath + '/' + key);
-        let name = key;
-        try { name = String(ds.attrs['name'].value); } catch (_) {}
-        const idx = names.length + 1; // 1-based
-        names.push(name);
-        dataMap[idx] = Array.from(ds.value);
-      }
-      return { names, dataMap };
-    };
+  get seriesBudget() {
+    return Math.max(1, Math.floor(this._cache.maxBytes / (8 * Math.max(this.t.length, 1))));
+  }
+
+  _pathsOf(kind, keys) {
+    return keys.map(k => this._paths[kind][k - 1]).filter(Boolean);
+  }
 
-    const densGroup = readGroup(root + '/density');
-    this.species    = densGroup.names;
-    this._densities  = densGroup.dataMap;
+  /** Cached values of dataset `key` (1-based); undefined until preloaded */
+  _read(kind, key) {
+    const path = this._paths[kind][key - 1];
+    return path ? this._cache.get(path) : undefined;
+  }
 
-    const rateGroup = readGroup(root + '/rate');
-    this.reactions  = rateGroup.names;
-    this._rates      = rateGroup.dataMap;
+  density(key)   { return this._read('density', key);   }
+  rate(key)      { return this._read('rate', key);      }
+  condition(key) { return this._read('condition', key); }
 
+  async close() {
+    this._cache.clear();
+    const worker = this._worker;
+    this._worker = null;
+    if (!worker) return;
     try {
-      const condGroup = readGroup(root + '/condition');
-      this.conditions  = condGroup.names;
-      this._conditions  = condGroup.dataMap;
-    } catch (_) {
-      this.conditions  = [];
-      this._conditions  = {};
+      // A worker takes its files with it; in-process they must be closed
+      if (worker instanceof InProcessLoader && this._handle !== null) {
+        await worker.call('h5-close', { handle: this._handle });
+      }
+    } finally {
+      worker.terminate();
     }
   }
-
-  density(key)   { return this._densities[key];  }
-  rate(key)      { return this._rates[key];       }
-  condition(key) { return this._conditions[key];  }
 }
 
 // --------------- Directory / text-file Data -----------------
@@ -163,159 +510,119 @@ export class HDF5Data extends ModelData {
 export class DirectoryData extends ModelData {
   constructor() {
     super();
-    this._densities  = {};
-    this._rates      = {};
-    this._conditions = {};
+    this._columns = {};   // data-file key -> ColumnBuffer (densities, rates, conditions)
+    this._live  = false;  // only consume newline-terminated rows (file still being written)
+    this._names = null;   // resolved file names, see parse.js dataFileNames
+    this._tails = {};     // data-file key -> { offset } bytes already parsed
+    this._rows  = null;   // live runs: rows present in every data file, see _syncRows
   }
 
-  static async fromFiles(fileList) {
-    const inst = new DirectoryData();
-    await inst._load(fileList);
-    return inst;
+  /**
+   * Parse a set of qt_*.txt files in a worker.
+   * options.live: the run is still being written; keep track of how far
+   * each data file has been read so that update() can parse only new rows.
+   * options.onProgress / options.signal: see LoaderWorker.call
+   */
+  static async fromFiles(fileList, options = {}) {
+    return DirectoryData._fromWorker('load-text', { files: Array.from(fileList), live: !!options.live }, options);
   }
 
-  // ---- helpers ----
+  /** Same as fromFiles, for a ZIP archive containing the qt_*.txt files */
+  static async fromZip(file, options = {}) {
+    return DirectoryData._fromWorker('load-zip', { file, live: !!options.live }, options);
+  }
 
-  _findFile(fileList, names) {
-    for (const name of (Array.isArray(names) ? names : [names])) {
-      for (const file of fileList) {
-        // file.name is just the basename; webkitRelativePath has full path
-        const basename = file.name;
-        if (basename === name) return file;
-      }
+  static async _fromWorker(op, args, options) {
+    const worker = createLoader();
+    try {
+      const inst = new DirectoryData();
+      inst._live = args.live;
+      inst._init(await worker.call(op, args, options));
+      return inst;
+    } finally {
+      worker.terminate();
     }
-    return null;
   }
 
-  _readText(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload  = e => resolve(e.target.result);
-      reader.onerror = () => reject(new Error('Failed to read ' + file.name));
-      reader.readAsText(file);
-    });
-  }
+  get live() { return this._live; }
 
-  /**
-   * Parse a list file like qt_species_list.txt
-   * Each line: "  1 Name" → returns ["Name", …]
-   */
-  _parseListFile(text) {
-    return text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0)
-      .map(line => {
-        // Strip leading index number
-        const m = line.match(/^\d+\s+(.*)/);
-        return m ? m[1].trim() : line;
-      });
-  }
+  /** Install the result of parse.js loadTextRun */
+  _init(run) {
+    this._names     = run.names;
+    this.species    = run.species;
+    this.reactions  = run.reactions;
+    this.conditions = run.conditions;
 
-  /**
-   * Parse a data file (densities / rates / conditions).
-   * First line is header (skipped).
-   * Returns { t: number[], cols: number[][] }  where cols[j][i] = value of column j at timestep i
-   */
-  _parseDataFile(text) {
-    const lines = text.trim().split('\n');
-    const tArr = [];
-    const rowBuffer = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      const vals = line.split(/\s+/).map(Number);
-      if (!vals.length || isNaN(vals[0])) continue;
-      tArr.push(vals[0]);
-      rowBuffer.push(vals.slice(1));
+    for (const [key, { t, cols, offset, line, lastT }] of Object.entries(run.columns)) {
+      this._columns[key] = ColumnBuffer.fromArrays({ t, cols });
+      if (this._live) this._tails[key] = { offset, line, lastT };
     }
-
-    if (rowBuffer.length === 0) return { t: [], cols: [] };
-    const nCols = rowBuffer[0].length;
-    const cols = [];
-    for (let j = 0; j < nCols; j++) {
-      cols.push(rowBuffer.map(row => row[j] !== undefined ? row[j] : 0));
+    if (this._live) this._syncRows();
+    else this.t = this._columns.densities.time();
+    this.issues = run.issues;
+
+    if (run.matrix) {
+      this.matrixSource = run.names.matrix;
+      this.sourceMatrix = run.matrix;
+    } else {
+      this.deriveSourceMatrix(run.names.matrix, run.names.reactionsList);
     }
-    return { t: tArr, cols };
   }
 
   /**
-   * Parse source matrix file (space-separated integers, one row per species)
+   * Re-read the data files of a live run and append the rows written since
+   * the last call. `fileList` must hold fresh snapshots of the files.
+   * Returns the number of new timesteps.
    */
-  _parseMatrix(text) {
-    return text.trim().split('\n')
-      .filter(line => line.trim())
-      .map(line => line.trim().split(/\s+/).map(Number));
-  }
-
-  async _load(fileList) {
+  async update(fileList) {
     const files = Array.from(fileList);
-
-    // Detect file prefix: qt_ (new) or legacy names
-    const hasQT = files.some(f => f.name === 'qt_species_list.txt');
-    const prefix = hasQT ? 'qt_' : '';
-
-    const names = {
-      speciesList:    prefix ? 'qt_species_list.txt'    : 'species_list.txt',
-      reactionsList:  prefix ? 'qt_reactions_list.txt'  : 'reactions_list.txt',
-      conditionsList: prefix ? 'qt_conditions_list.txt' : 'conditions_list.txt',
-      densities:      prefix ? 'qt_densities.txt'       : 'out_density.txt',
-      rates:          prefix ? 'qt_rates.txt'           : 'out_rate.txt',
-      matrix:         prefix ? 'qt_matrix.txt'          : 'source_matrix.txt',
-      conditions:     prefix ? 'qt_conditions.txt'      : 'out_temperatures.txt',
+    const lists = {
+      densities:  [this.species,    'speciesList'],
+      rates:      [this.reactions,  'reactionsList'],
+      conditions: [this.conditions, 'conditionsList'],
     };
-
-    const getFile = (key) => this._findFile(files, names[key]);
-    const readOrNull = async (key) => {
-      const f = getFile(key);
-      return f ? this._readText(f) : null;
-    };
-
-    const [speciesText, reactionsText, conditionsListText,
-           densitiesText, ratesText, matrixText, conditionsDataText] =
-      await Promise.all([
-        readOrNull('speciesList'),
-        readOrNull('reactionsList'),
-        readOrNull('conditionsList'),
-        readOrNull('densities'),
-        readOrNull('rates'),
-        readOrNull('matrix'),
-        readOrNull('conditions'),
-      ]);
-
-    if (!speciesText)   throw new Error('Species list file not found');
-    if (!densitiesText) throw new Error('Densities file not found');
-
-    this.species    = this._parseListFile(speciesText);
-    this.reactions  = reactionsText      ? this._parseListFile(reactionsText)     : [];
-    this.conditions = conditionsListText ? this._parseListFile(conditionsListText) : [];
-
-    const densData = this._parseDataFile(densitiesText);
-    this.t = densData.t;
-
-    for (let j = 0; j < this.species.length; j++) {
-      this._densities[j + 1] = densData.cols[j] || new Array(this.t.length).fill(0);
-    }
-
-    if (ratesText) {
-      const rateData = this._parseDataFile(ratesText);
-      for (let j = 0; j < this.reactions.length; j++) {
-        this._rates[j + 1] = rateData.cols[j] || new Array(this.t.length).fill(0);
+    const issues = new IssueLog();
+    const before = this.t.length;
+
+    for (const [key, [list, listKey]] of Object.entries(lists)) {
+      const file = findFile(files, this._names[key]);
+      // As in the first load, a data file without its list file is ignored
+      if (!file || !findFile(files, this._names[listKey])) continue;
+      const tail = this._tails[key] || (this._tails[key] = { offset: 0, line: 0, lastT: -Infinity });
+      if (file.size < tail.offset) {
+        throw new Error(file.name + ' was truncated (simulation restarted?); reload the run');
       }
-    }
+      if (file.size === tail.offset) continue;
 
-    if (conditionsDataText) {
-      const condData = this._parseDataFile(conditionsDataText);
-      for (let j = 0; j < this.conditions.length; j++) {
-        this._conditions[j + 1] = condData.cols[j] || new Array(this.t.length).fill(0);
-      }
+      const buffer = this._columns[key] || (this._columns[key] = new ColumnBuffer(list.length));
+      const { offset, line, lastT } = await parseDataBlob(file.slice(tail.offset), list.length, {
+        buffer, header: tail.offset === 0, completeOnly: true,
+        file: file.name, issues, columnNames: list, line: tail.line, lastT: tail.lastT,
+      });
+      Object.assign(tail, { offset: tail.offset + offset, line, lastT });
     }
+    this._syncRows();
+    this.issues.push(...issues.finish());
+    return this.t.length - before;
+  }
+
+  /**
+   * The data files of a live run are written one after the other, so one
+   * may be a few rows ahead; time and every series stop at the last row
+   * all of them have, and the rest is shown after the next update.
+   */
+  _syncRows() {
+    this._rows = Math.min(...Object.values(this._columns).map(buffer => buffer.length));
+    this.t = this._columns.densities.time().subarray(0, this._rows);
+  }
 
-    this.sourceMatrix = matrixText ? this._parseMatrix(matrixText) :
-      this.species.map(() => new Array(this.reactions.length).fill(0));
+  _column(key, idx) {
+    const buffer = this._columns[key];
+    const col = buffer ? buffer.column(idx - 1) : undefined;
+    return col && this._rows !== null ? col.subarray(0, this._rows) : col;
   }
 
-  density(key)   { return this._densities[key];  }
-  rate(key)      { return this._rates[key];       }
-  condition(key) { return this._conditions[key];  }
+  density(key)   { return this._column('densities',  key); }
+  rate(key)      { return this._column('rates',      key); }
+  condition(key) { return this._column('conditions', key); }
 }
@@ -0,0 +1,67 @@
+// ============================================================
+// downsample.js  –  Reducing long time series for display
+// ============================================================
+//
+// A chart a thousand pixels wide cannot show more than a few points per
+// pixel column, yet runs may have 10⁵–10⁶ timesteps. downsampleM4() keeps
+// the points that decide what each column looks like, so the reduced line
+// is drawn identically at that width.
+
+/** First index i with x[i] >= v in a sorted array (x.length if none) */
+function lowerBound(x, v) {
+  let lo = 0, hi = x.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (x[mid] < v) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Reduce a line to what can be seen `buckets` pixels wide (M4): the samples
+ * in [x0, x1], plus one on each side so the line runs to the edges, are
+ * split into `buckets` equal intervals — of log10(x) when `log` — and each
+ * interval keeps its first, last, smallest and largest point.
+ * x must be sorted; x0 / x1 may be null for the whole series.
+ * Returns { x, y }: the inputs themselves when there is nothing to reduce.
+ */
+export function downsampleM4(x, y, x0, x1, buckets, log = false) {
+  const n = x.length;
+  const lo = x0 === null ? 0 : Math.max(lowerBound(x, x0) - 1, 0);
+  const hi = x1 === null ? n - 1 : Math.min(lowerBound(x, x1), n - 1);
+  if (hi - lo + 1 <= 4 * buckets) {
+    return lo === 0 && hi === n - 1 ? { x, y } : { x: x.slice(lo, hi + 1), y: y.slice(lo, hi + 1) };
+  }
+
+  // Bucket of each sample; on a log axis, times ≤ 0 go to the first one
+  const pos = log ? v => (v > 0 ? Math.log10(v) : -Infinity) : v => v;
+  let start = pos(x[lo]);
+  if (!isFinite(start)) start = pos(x[lowerBound(x, Number.MIN_VALUE)]);
+  const width = (pos(x[hi]) - start) / buckets;
+  const bucketOf = i => {
+    const b = Math.floor((pos(x[i]) - start) / width);
+    return b >= 0 ? Math.min(b, buckets - 1) : 0;
+  };
+
+  const outX = [], outY = [];
+  const flush = (first, last, min, max) => {
+    for (const i of [...new Set([first, min, max, last])].sort((a, b) => a - b)) {
+      outX.push(x[i]);
+      outY.push(y[i]);
+    }
+  };
+  let bucket = bucketOf(lo), first = lo, last = lo, min = lo, max = lo;
+  for (let i = lo + 1; i <= hi; i++) {
+    const b = bucketOf(i);
+    if (b !== bucket) {
+      flush(first, last, min, max);
+      bucket = b; first = last = min = max = i;
+      continue;
+    }
+    last = i;
+    if (y[i] < y[min]) min = i;
+    if (y[i] > y[max]) max = i;
+  }
+  flush(first, last, min, max);
+  return { x: outX, y: outY };
+}
@@ -0,0 +1,191 @@
+// ============================================================
+// export.js  –  Data export helpers for JSPlaskin
+// ============================================================
+
+/** Quote a CSV field when it contains a delimiter, quote or newline */
+export function csvEscape(v) {
+  const s = (v === undefined || v === null) ? '' : String(v);
+  return /[",\n\r]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/**
+ * CSV text with a header row and one row per time point.
+ * columns: [{ name, values }], each values array aligned with t.
+ */
+export function seriesToCSV(t, columns) {
+  const lines = [['time', ...columns.map(c => c.name)].map(csvEscape).join(',')];
+  for (let i = 0; i < t.length; i++) {
+    lines.push([t[i], ...columns.map(c => c.values[i])].map(csvEscape).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// --------------- Aligning and resampling --------------------
+//
+// Series to export come as columns { name, t, values } with their own
+// time arrays: runs differ in their timesteps, and plotted lines drop
+// the points a log axis can't show. The functions below put them on one
+// time column, with NaN where a series has no value.
+
+/** Rows [lo, hi) of a sorted time array with t0 ≤ t ≤ t1 (null: no limit) */
+export function windowRows(t, t0, t1) {
+  let lo = 0, hi = t.length;
+  if (t0 !== null) while (lo < hi && t[lo] < t0) lo++;
+  if (t1 !== null) while (hi > lo && t[hi - 1] > t1) hi--;
+  return [lo, hi];
+}
+
+/**
+ * Columns restricted to t0 ≤ t ≤ t1 (null: no limit). Columns that share
+ * a time array still share one afterwards, which alignSeries relies on.
+ */
+export function windowSeries(columns, t0, t1) {
+  const cut = new Map(); // time array -> { lo, hi, t }
+  return columns.map(c => {
+    if (!cut.has(c.t)) {
+      const [lo, hi] = windowRows(c.t, t0, t1);
+      cut.set(c.t, { lo, hi, t: lo === 0 && hi === c.t.length ? c.t : c.t.slice(lo, hi) });
+    }
+    const { lo, hi, t } = cut.get(c.t);
+    return t === c.t ? c : { ...c, t, values: c.values.slice(lo, hi) };
+  });
+}
+
+/**
+ * Put columns on the union of their times. Returns { t, columns: [{ ...,
+ * values }] } with NaN where a column has no sample at a time.
+ */
+export function alignSeries(columns) {
+  if (!columns.length) return { t: new Float64Array(0), columns: [] };
+  const first = columns[0].t;
+  if (columns.every(c => c.t === first)) {
+    return { t: first, columns: columns.map(({ t: _, ...c }) => c) };
+  }
+  const all = new Float64Array(columns.reduce((n, c) => n + c.t.length, 0));
+  let k = 0;
+  for (const c of columns) { all.set(c.t, k); k += c.t.length; }
+  all.sort();
+  let n = 0;
+  for (let i = 0; i < all.length; i++) if (i === 0 || all[i] !== all[n - 1]) all[n++] = all[i];
+  const t = all.slice(0, n);
+
+  return {
+    t,
+    columns: columns.map(({ t: ct, values, ...c }) => {
+      const out = new Float64Array(n).fill(NaN);
+      let j = 0;
+      for (let i = 0; i < ct.length; i++) {
+        while (t[j] < ct[i]) j++;
+        out[j] = values[i];
+      }
+      return { ...c, values: out };
+    }),
+  };
+}
+
+/** n times from t0 to t1, evenly spaced or, when log, evenly in log10 (t0 > 0) */
+export function timeGrid(t0, t1, n, log = false) {
+  const grid = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const f = n > 1 ? i / (n - 1) : 0;
+    grid[i] = log ? Math.pow(10, Math.log10(t0) + f * (Math.log10(t1) - Math.log10(t0))) : t0 + f * (t1 - t0);
+  }
+  return grid;
+}
+
+/**
+ * Interpolate columns linearly onto a sorted time grid. Returns
+ * { t: grid, columns } with NaN outside the time span of each column.
+ */
+export function resampleSeries(columns, grid) {
+  return {
+    t: grid,
+    columns: columns.map(({ t: ct, values, ...c }) => {
+      const out = new Float64Array(grid.length).fill(NaN);
+      const last = ct.length - 1;
+      let j = 0;
+      for (let i = 0; i < grid.length; i++) {
+        const at = grid[i];
+        if (last < 0 || at < ct[0] || at > ct[last]) continue;
+        while (j < last - 1 && ct[j + 1] <= at) j++;
+        out[i] = at === ct[j] || j === last ? values[j]
+               : values[j] + (values[j + 1] - values[j]) * (at - ct[j]) / (ct[j + 1] - ct[j]);
+      }
+      return { ...c, values: out };
+    }),
+  };
+}
+
+// --------------- Formats ------------------------------------
+
+/**
+ * Delimited text (CSV with sep ',', TSV with '\t') with a time column and
+ * one column per series; non-finite values are left empty.
+ */
+export function seriesToDelimited(t, columns, sep = ',') {
+  const field = sep === ',' ? csvEscape : v => String(v).replace(/[\t\r\n]+/g, ' ');
+  const value = v => isFinite(v) ? String(v) : '';
+  const lines = [['time', ...columns.map(c => c.name)].map(field).join(sep)];
+  for (let i = 0; i < t.length; i++) {
+    lines.push([value(t[i]), ...columns.map(c => value(c.values[i]))].join(sep));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON text { time, series: [{ name, ...metadata, values }] }; non-finite
+ * values become null.
+ */
+export function seriesToJSON(t, columns) {
+  const list = v => Array.from(v, x => isFinite(x) ? x : null);
+  return JSON.stringify({
+    time: list(t),
+    series: columns.map(({ values, ...c }) => ({ ...c, values: list(values) })),
+  }) + '\n';
+}
+
+/**
+ * A float64 array in NumPy's .npy format (version 1.0), C order.
+ * shape: [n] or [rows, cols] with values laid out row by row.
+ */
+export function npyBytes(values, shape) {
+  const dims = shape.length === 1 ? '(' + shape[0] + ',)' : '(' + shape.join(', ') + ')';
+  let header = "{'descr': '<f8', 'fortran_order': False, 'shape': " + dims + ', }';
+  // Magic (6) + version (2) + length (2) + header, padded to a multiple of 64
+  header += ' '.repeat(63 - (10 + header.length) % 64) + '\n';
+  const bytes = new Uint8Array(10 + header.length + 8 * values.length);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0, header.length & 0xff, header.length >> 8]);
+  for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+  const view = new DataView(bytes.buffer, 10 + header.length);
+  for (let i = 0; i < values.length; i++) view.setFloat64(8 * i, values[i], true);
+  return bytes;
+}
+
+/** One .npy matrix: a row per time, columns time and each series */
+export function seriesToNpy(t, columns) {
+  const width = columns.length + 1;
+  const matrix = new Float64Array(t.length * width);
+  for (let i = 0; i < t.length; i++) {
+    matrix[i * width] = t[i];
+    columns.forEach((c, j) => { matrix[i * width + j + 1] = c.values[i]; });
+  }
+  return npyBytes(matrix, [t.length, width]);
+}
+
+/**
+ * The members of an .npz archive: time.npy and one array per series,
+ * named after it ("/" replaced, repeated names numbered).
+ * Returns [{ name, bytes }].
+ */
+export function seriesToNpzMembers(t, columns) {
+  const taken = new Set(['time']);
+  const members = [{ name: 'time.npy', bytes: npyBytes(t, [t.length]) }];
+  for (const c of columns) {
+    const base = String(c.name).replace(/[\/\\]/g, '_') || 'series';
+    let key = base;
+    for (let n = 2; taken.has(key); n++) key = base + ' (' + n + ')';
+    taken.add(key);
+    members.push({ name: key + '.npy', bytes: npyBytes(c.values, [c.values.length]) });
+  }
+  return members;
+}
@@ -0,0 +1,252 @@
+// ============================================================
+// expr.js  –  Expressions for user-defined (derived) series
+// ============================================================
+//
+// An expression combines species densities, reaction rates and conditions
+// of a run, evaluated element-wise over time:
+//
+//   O3 / O2                         bare names: species, then conditions
+//   n("O2^+") + n("O-")             n(), r(), c(): density, rate, condition
+//   r(12) * 2                       by exact name or 1-based index
+//   sum_n("N2(*)")                  sum of the densities whose names match
+//   sum_r("* -> O3 *")              a pattern (* any text, ? one character)
+//   log10(O3) ^ 2, max(O, O3), t    functions, ^ for powers, t for time
+//
+// parseExpression() checks the syntax only; bindExpression() resolves the
+// names against one run, so the same expression can be bound to every run.
+
+const FUNCTIONS = {
+  abs:   Math.abs,
+  sqrt:  Math.sqrt,
+  exp:   Math.exp,
+  log:   Math.log,
+  log10: Math.log10,
+  min:   Math.min,
+  max:   Math.max,
+};
+
+// Reference functions: kind read, list searched
+const REFS = {
+  n:     ['density',   'species'],
+  r:     ['rate',      'reactions'],
+  c:     ['condition', 'conditions'],
+  sum_n: ['density',   'species'],
+  sum_r: ['rate',      'reactions'],
+};
+
+const TOKEN_RE = /(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([-+*/^(),])/y;
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+  for (;;) {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    if (pos === text.length) return tokens;
+    TOKEN_RE.lastIndex = pos;
+    const m = TOKEN_RE.exec(text);
+    if (!m) throw new Error('Unexpected "' + text[pos] + '" at position ' + (pos + 1));
+    const at = pos + 1;
+    if (m[1] !== undefined)      tokens.push({ type: 'num',   value: parseFloat(m[1]), at });
+    else if (m[2] !== undefined) tokens.push({ type: 'ident', value: m[2], at });
+    else if (m[3] !== undefined) tokens.push({ type: 'str',   value: m[3].slice(1, -1).replace(/\\(.)/g, '$1'), at });
+    else                         tokens.push({ type: 'op',    value: m[4], at });
+    pos = TOKEN_RE.lastIndex;
+  }
+}
+
+/**
+ * Parse an expression into a syntax tree. Throws an Error naming the
+ * position of the first problem.
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(String(text));
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = v => tokens[i] && tokens[i].type === 'op' && tokens[i].value === v;
+  const fail = msg => {
+    const tok = tokens[i];
+    throw new Error(tok ? msg + ' at position ' + tok.at : msg + ' at end of expression');
+  };
+  const expect = v => { if (!isOp(v)) fail('Expected "' + v + '"'); i++; };
+
+  // sum := product (('+' | '-') product)*
+  const sum = () => {
+    let node = product();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: product() };
+    }
+    return node;
+  };
+  // product := unary (('*' | '/') unary)*
+  const product = () => {
+    let node = unary();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[i++].value;
+      node = { type: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  };
+  // unary := ('-' | '+') unary | power
+  const unary = () => {
+    if (isOp('-')) { i++; return { type: 'neg', arg: unary() }; }
+    if (isOp('+')) { i++; return unary(); }
+    return power();
+  };
+  // power := primary ('^' unary)?   (right-associative, binds tighter than unary minus on its left)
+  const power = () => {
+    const base = primary();
+    if (!isOp('^')) return base;
+    i++;
+    return { type: 'bin', op: '^', left: base, right: unary() };
+  };
+  const primary = () => {
+    const tok = peek();
+    if (!tok) fail('Expected a value');
+    if (tok.type === 'num') { i++; return { type: 'num', value: tok.value }; }
+    if (tok.type === 'str') { i++; return { type: 'str', value: tok.value, at: tok.at }; }
+    if (tok.type === 'ident') {
+      i++;
+      if (!isOp('(')) return { type: 'name', name: tok.value, at: tok.at };
+      i++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(sum());
+        while (isOp(',')) { i++; args.push(sum()); }
+      }
+      expect(')');
+      return { type: 'call', fn: tok.value, args, at: tok.at };
+    }
+    if (isOp('(')) {
+      i++;
+      const node = sum();
+      expect(')');
+      return node;
+    }
+    fail('Unexpected "' + tok.value + '"');
+  };
+
+  if (!tokens.length) throw new Error('Empty expression');
+  const tree = sum();
+  if (i < tokens.length) fail('Unexpected "' + tokens[i].value + '"');
+  return tree;
+}
+
+/** Glob pattern (* and ?) to an anchored RegExp */
+export function patternToRegExp(pattern) {
+  const body = pattern.split('').map(ch =>
+    ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  ).join('');
+  return new RegExp('^' + body + '$');
+}
+
+/**
+ * Resolve the names of a parsed expression against a run (anything with
+ * species, reactions and conditions lists). Throws if a name is unknown.
+ * Returns { needs: { density, rate, condition: 1-based keys[] }, evaluate }
+ * where evaluate(get, t) computes the series; get(kind, key) must return
+ * the (preloaded) values of a series.
+ */
+export function bindExpression(tree, run) {
+  const needs = { density: new Set(), rate: new Set(), condition: new Set() };
+  const ref = (kind, key) => { needs[kind].add(key); return (get) => get(kind, key); };
+
+  const lookup = (list, arg, fn) => {
+    if (arg.type === 'num' && Number.isInteger(arg.value) && arg.value >= 1 && arg.value <= list.length) return arg.value;
+    if (arg.type === 'str') {
+      const idx = list.indexOf(arg.value);
+      if (idx >= 0) return idx + 1;
+      throw new Error(fn + '("' + arg.value + '"): no such name in this run');
+    }
+    throw new Error(fn + '() expects a quoted name or a 1-based index');
+  };
+
+  const compile = (node) => {
+    switch (node.type) {
+      case 'num': return () => node.value;
+      case 'str': throw new Error('Unexpected text "' + node.value + '" at position ' + node.at + ' (quoted names go inside n(), r() or c())');
+      case 'neg': {
+        const arg = compile(node.arg);
+        return (get, t) => apply1(arg(get, t), v => -v);
+      }
+      case 'bin': {
+        const left = compile(node.left), right = compile(node.right);
+        const f = BINARY[node.op];
+        return (get, t) => apply2(left(get, t), right(get, t), f);
+      }
+      case 'name': {
+        const si = run.species.indexOf(node.name);
+        if (si >= 0) return ref('density', si + 1);
+        const ci = run.conditions.indexOf(node.name);
+        if (ci >= 0) return ref('condition', ci + 1);
+        if (node.name === 't') return (get, t) => t;
+        if (node.name === 'pi') return () => Math.PI;
+        throw new Error('Unknown name "' + node.name + '" at position ' + node.at +
+                        ' (use n("…"), r("…") or c("…") for names with special characters)');
+      }
+      case 'call': {
+        if (REFS[node.fn]) {
+          const [kind, listKey] = REFS[node.fn];
+          if (node.args.length !== 1) throw new Error(node.fn + '() takes one argument');
+          const list = run[listKey];
+          if (!node.fn.startsWith('sum_')) return ref(kind, lookup(list, node.args[0], node.fn));
+          if (node.args[0].type !== 'str') throw new Error(node.fn + '() expects a quoted pattern');
+          const re = patternToRegExp(node.args[0].value);
+          const parts = [];
+          list.forEach((name, i) => { if (re.test(name)) parts.push(ref(kind, i + 1)); });
+          if (!parts.length) throw new Error(node.fn + '("' + node.args[0].value + '"): no name matches in this run');
+          return (get, t) => parts.reduce((acc, p) => apply2(acc, p(get, t), BINARY['+']), 0);
+        }
+        const f = FUNCTIONS[node.fn];
+        if (!f) throw new Error('Unknown function "' + node.fn + '" at position ' + node.at);
+        if (!node.args.length) throw new Error(node.fn + '() needs an argument');
+        if (f.length === 1 && node.args.length !== 1) throw new Error(node.fn + '() takes one argument');
+        const args = node.args.map(compile);
+        return (get, t) => applyN(args.map(a => a(get, t)), f);
+      }
+    }
+    throw new Error('Invalid expression');
+  };
+
+  const root = compile(tree);
+  return {
+    needs: {
+      density:   [...needs.density],
+      rate:      [...needs.rate],
+      condition: [...needs.condition],
+    },
+    evaluate(get, t) {
+      const out = root(get, t);
+      return typeof out === 'number' ? new Float64Array(t.length).fill(out) : Float64Array.from(out);
+    },
+  };
+}
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '^': (a, b) => Math.pow(a, b),
+};
+
+// Operands are numbers (constants) or arrays aligned with time
+
+function apply1(a, f) {
+  return typeof a === 'number' ? f(a) : Float64Array.from(a, f);
+}
+
+function apply2(a, b, f) {
+  if (typeof a === 'number' && typeof b === 'number') return f(a, b);
+  const n = typeof a === 'number' ? b.length : typeof b === 'number' ? a.length : Math.min(a.length, b.length);
+  const out = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    out[i] = f(typeof a === 'number' ? a : a[i], typeof b === 'number' ? b : b[i]);
+  }
+  return out;
+}
+
+function applyN(args, f) {
+  if (args.length === 1) return apply1(args[0], v => f(v));
+  return args.reduce((acc, a) => apply2(acc, a, (x, y) => f(x, y)));
+}
@@ -0,0 +1,283 @@
+// ============================================================
+// loader-ops.js  –  Loading operations for JSPlaskin
+// ============================================================
+//
+// The operations behind the loader worker. In the browser they run inside
+// worker.js; under Node (CLI, scripts) data.js calls them in-process.
+// Each returns { result, transfer } and may call progress(p) along the way.
+
+import { IssueLog, loadTextRun, transferables } from './parse.js';
+
+const IS_NODE = typeof process !== 'undefined' && !!(process.versions && process.versions.node);
+
+let hdf5 = null;        // h5wasm module, loaded on first use
+const h5files = {};     // handle -> { file, dir }
+let nextHandle = 0;
+
+// ---- Library loading ----
+// Browsers get the libraries from a CDN, Node from node_modules
+
+async function loadHDF5() {
+  if (hdf5) return hdf5;
+  try {
+    if (IS_NODE) {
+      hdf5 = (await import('h5wasm/node')).default;
+    } else try {
+      // Try specific version first, fall back to latest
+      hdf5 = await import('https://cdn.jsdelivr.net/npm/h5wasm@0.7.2/dist/esm/hdf5_hl.js');
+    } catch (_) {
+      hdf5 = await import('https://cdn.jsdelivr.net/npm/h5wasm/dist/esm/hdf5_hl.js');
+    }
+    await hdf5.ready;
+  } catch (e) {
+    hdf5 = null;
+    throw new Error('Failed to load HDF5 library. Check your internet connection. ' + e.message);
+  }
+  return hdf5;
+}
+
+export async function loadJSZip() {
+  try {
+    if (IS_NODE) return (await import('jszip')).default;
+    return (await import('https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm')).default;
+  } catch (e) {
+    throw new Error('Failed to load JSZip. Check your internet connection.');
+  }
+}
+
+// ---- Operations ----
+
+export const OPS = {
+
+  async 'load-text'({ files, live }, progress) {
+    const result = await loadTextRun(files, { live }, progress);
+    return { result, transfer: transferables(result) };
+  },
+
+  async 'load-zip'({ file, live }, progress) {
+    const JSZip = await loadJSZip();
+    const zip   = await JSZip.loadAsync(await file.arrayBuffer());
+
+    // Collect all .txt entries (skip directories)
+    const entries = [];
+    zip.forEach((path, entry) => {
+      if (!entry.dir && /\.txt$/i.test(entry.name)) entries.push(entry);
+    });
+    if (!entries.length) throw new Error('No .txt files found in the ZIP archive.');
+
+    // Extract as File objects using the basename so the parser can match by name
+    const files = [];
+    for (let i = 0; i < entries.length; i++) {
+      const entry    = entries[i];
+      const basename = entry.name.split('/').pop();
+      const blob = await entry.async('blob', meta => progress({
+        done: i * 100 + meta.percent, total: entries.length * 100,
+        label: 'Extracting ' + basename,
+      }));
+      files.push(new File([blob], basename, { type: 'text/plain' }));
+    }
+
+    const result = await loadTextRun(files, { live }, progress);
+    return { result, transfer: transferables(result) };
+  },
+
+  /**
+   * Open an HDF5 file and read its structure; datasets are fetched by 'h5-read'.
+   * Pass a File (browser) or a local path (Node, read in place).
+   */
+  async 'h5-open'({ file, path }, progress) {
+    const h5 = await loadHDF5();
+    const handle = ++nextHandle;
+    const dir = '/work' + handle;
+
+    // WORKERFS reads the File in place; fall back to copying it into memory
+    let fname;
+    if (path) {
+      fname = path;
+    } else try {
+      h5.FS.mkdir(dir);
+      h5.FS.mount(h5.FS.filesystems.WORKERFS, { files: [file] }, dir);
+      fname = dir + '/' + file.name;
+    } catch (_) {
+      fname = dir + '.h5';
+      h5.FS.writeFile(fname, new Uint8Array(await file.arrayBuffer()));
+    }
+
+    const f = new h5.File(fname, 'r');
+    h5files[handle] = { file: f, dir: path ? null : dir, fname: path ? null : fname };
+    try {
+      const result = { handle, ...scanH5(f, progress) };
+      return { result, transfer: [result.t.buffer, ...(result.sourceMatrix ? [result.sourceMatrix.data.buffer] : [])] };
+    } catch (e) {
+      closeH5(handle);
+      throw e;
+    }
+  },
+
+  async 'h5-read'({ handle, paths, rows = null }) {
+    const entry = h5files[handle];
+    if (!entry) throw new Error('HDF5 file is closed');
+    const issues = new IssueLog();
+    const arrays = paths.map(path => {
+      // rows [start, end) reads part of each dataset; only whole ones are checked
+      if (rows) return ownBuffer(entry.file.get(path).slice([rows]));
+      const arr = ownBuffer(entry.file.get(path).value);
+      checkFinite(arr, path, issues);
+      return arr;
+    });
+    return { result: { arrays, issues: issues.finish() }, transfer: arrays.map(a => a.buffer) };
+  },
+
+  /**
+   * Write a run in the main/ layout read by 'h5-open'.
+   * groups: { density|rate|condition: { names, arrays } }; sourceMatrix: { data, shape } or null.
+   * In Node, `path` writes straight to disk; otherwise the file's bytes are returned.
+   */
+  async 'h5-write'({ path, t, groups, sourceMatrix }, progress) {
+    // h5wasm's Node build has no in-memory file system to stage the file in
+    if (IS_NODE && !path) throw new Error('Writing HDF5 under Node needs an output path');
+    const h5 = await loadHDF5();
+    const fname = path || '/write' + (++nextHandle) + '.h5';
+    const f = new h5.File(fname, 'w');
+    try {
+      const main = f.create_group('main');
+      main.create_dataset({ name: 't', data: Float64Array.from(t) });
+
+      const total = Object.values(groups).reduce((n, g) => n + g.names.length, 0);
+      let done = 0;
+      for (const kind of ['density', 'rate', 'condition']) {
+        const grp = main.create_group(kind);
+        const { names, arrays } = groups[kind];
+        names.forEach((name, i) => {
+          const ds = grp.create_dataset({ name: String(i + 1).padStart(4, '0'), data: Float64Array.from(arrays[i]) });
+          ds.create_attribute('name', name);
+          if (++done % 50 === 0) progress({ done, total, label: 'Writing datasets' });
+        });
+      }
+
+      if (sourceMatrix) {
+        main.create_dataset({ name: 'source_matrix', data: sourceMatrix.data, shape: sourceMatrix.shape });
+      }
+      f.close();
+    } catch (e) {
+      try { f.close(); } catch (_) {}
+      if (!path) try { h5.FS.unlink(fname); } catch (_) {}
+      throw e;
+    }
+    if (path) return { result: null };
+
+    const bytes = h5.FS.readFile(fname);
+    h5.FS.unlink(fname);
+    return { result: bytes, transfer: [bytes.buffer] };
+  },
+
+  /** Release a file; only needed in-process, a worker is simply terminated */
+  async 'h5-close'({ handle }) {
+    closeH5(handle);
+    return { result: null };
+  },
+};
+
+// ---- HDF5 helpers ----
+
+/** Names and shapes of the numbered groups, plus time and source matrix */
+function scanH5(f, progress) {
+  // Detect format: modern (main/) or legacy (zdplaskin/)
+  let root = 'main';
+  try {
+    f.get('main/t');
+  } catch (_) {
+    try {
+      f.get('zdplaskin/t');
+      root = 'zdplaskin';
+    } catch (_2) {
+      throw new Error('Unrecognised HDF5 structure (expected main/ or zdplaskin/ group)');
+    }
+  }
+
+  const issues = new IssueLog();
+  const t = ownBuffer(f.get(root + '/t').value);
+  checkFinite(t, root + '/t', issues);
+  for (let i = 1; i < t.length; i++) {
+    if (!(t[i] > t[i - 1])) {
+      issues.add('time', 'error', root + '/t', 'index ' + i, 'time ' + t[i] + ' does not increase (previous ' + t[i - 1] + ')');
+    }
+  }
+
+  // An unusable source matrix is reported rather than failing the whole load
+  let sourceMatrix = null;
+  const smPath = root + '/source_matrix';
+  let smDs = null;
+  try { smDs = f.get(smPath); } catch (_) {}
+  if (smDs) {
+    try {
+      if (!smDs.shape || smDs.shape.length !== 2) {
+        throw new Error('expected a 2-D dataset, got shape [' + (smDs.shape || []).join(', ') + ']');
+      }
+      sourceMatrix = { data: ownBuffer(smDs.value), shape: smDs.shape };
+    } catch (e) {
+      issues.add('files', 'error', smPath, '', 'ignored (derived from the reaction labels instead): ' + e.message);
+    }
+  }
+
+  const groupKeys = {};
+  const groupPath = kind => root + '/' + kind;
+  for (const kind of ['density', 'rate', 'condition']) {
+    try {
+      // Sort numerically (0001, 0002, …)
+      groupKeys[kind] = f.get(groupPath(kind)).keys().sort((a, b) => parseInt(a) - parseInt(b));
+    } catch (_) {
+      if (kind !== 'condition') throw new Error('Missing group ' + groupPath(kind));
+      groupKeys[kind] = [];
+    }
+  }
+
+  // Reading each dataset's name attribute is the slow part on big mechanisms
+  const total = Object.values(groupKeys).reduce((n, keys) => n + keys.length, 0);
+  let done = 0;
+  const groups = {};
+  for (const kind of ['density', 'rate', 'condition']) {
+    const names = [], paths = [], shapes = [];
+    for (const key of groupKeys[kind]) {
+      const path = groupPath(kind) + '/' + key;
+      const ds = f.get(path);
+      let name = key;
+      try { name = String(ds.attrs['name'].value); } catch (_) {}
+      names.push(name);
+      paths.push(path);
+      shapes.push(ds.shape);
+      if (!ds.shape || ds.shape.length !== 1 || ds.shape[0] !== t.length) {
+        issues.add('shape', 'error', path, '', 'shape [' + (ds.shape || []).join(', ') + '], expected [' + t.length + '] like t');
+      }
+      if (++done % 200 === 0) progress({ done, total, label: 'Reading dataset names' });
+    }
+    groups[kind] = { names, paths, shapes };
+  }
+  return { root, t, sourceMatrix, groups, issues: issues.finish() };
+}
+
+/** Report the first NaN/Inf value of a dataset, with how many there are */
+function checkFinite(arr, path, issues) {
+  let first = -1, count = 0;
+  for (let i = 0; i < arr.length; i++) {
+    if (!isFinite(arr[i])) { if (first < 0) first = i; count++; }
+  }
+  if (count) {
+    issues.add('nonfinite', 'warning', path, 'index ' + first,
+               arr[first] + ' value' + (count > 1 ? ' (' + count + ' non-finite values in total)' : ''));
+  }
+}
+
+function closeH5(handle) {
+  const entry = h5files[handle];
+  if (!entry) return;
+  delete h5files[handle];
+  try { entry.file.close(); } catch (_) {}
+  if (entry.dir)   try { hdf5.FS.unmount(entry.dir); } catch (_) {}
+  if (entry.fname) try { hdf5.FS.unlink(entry.fname); } catch (_) {}
+}
+
+/** A typed array that owns its whole buffer, so transferring it moves nothing else */
+function ownBuffer(arr) {
+  return arr.byteOffset === 0 && arr.byteLength === arr.buffer.byteLength ? arr : arr.slice();
+}
@@ -0,0 +1,44 @@
+// ============================================================
+// node.js  –  Headless (Node.js) API for JSPlaskin
+// ============================================================
+//
+// The loaders of the web app, for scripts and the command-line tool:
+//
+//   import { openRun } from './js/node.js';
+//   const run = await openRun('results.h5');
+//   await run.preload('density', [1, 2]);
+//   run.density(1);  // Float64Array aligned with run.t
+//
+// Operations run in-process (no worker); HDF5 files are read in place
+// with h5wasm's Node build.
+
+import { stat, readdir } from 'node:fs/promises';
+import { openAsBlob } from 'node:fs';
+import { basename, join } from 'node:path';
+import { HDF5Data, DirectoryData } from './data.js';
+
+export { ModelData, HDF5Data, DirectoryData } from './data.js';
+export { splitSources, filterRates, arrMax, integrate, derivative, speciesBalance } from './analysis.js';
+export { csvEscape, seriesToCSV } from './export.js';
+
+/**
+ * Load a run from a local path: an HDF5 file, a ZIP archive, or a
+ * directory of qt_*.txt files. options: { onProgress } (see LoaderWorker.call).
+ */
+export async function openRun(path, options = {}) {
+  const info = await stat(path);
+  if (info.isDirectory()) {
+    const names = (await readdir(path)).filter(n => /\.txt$/i.test(n));
+    if (!names.length) throw new Error('No .txt files found in ' + path);
+    const files = await Promise.all(names.map(n => localFile(join(path, n))));
+    return DirectoryData.fromFiles(files, options);
+  }
+  if (/\.zip$/i.test(path))     return DirectoryData.fromZip(await localFile(path), options);
+  if (/\.(h5|hdf5)$/i.test(path)) return HDF5Data.fromPath(path, options);
+  throw new Error('Unsupported input ' + path + ' (expected .h5, .zip or a directory)');
+}
+
+/** A File backed by the file on disk, read lazily like a browser File */
+async function localFile(path) {
+  return new File([await openAsBlob(path)], basename(path));
+}
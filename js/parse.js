@@ -0,0 +1,352 @@
+// ============================================================
+// parse.js  –  Text-format parsing for JSPlaskin
+// ============================================================
+//
+// Pure functions shared by the loader worker (full loads) and by
+// DirectoryData (incremental reads of a live run). Nothing here touches
+// the DOM; inputs are Blob/File objects and strings.
+
+const CHUNK_BYTES  = 8 * 1024 * 1024; // read size for data files
+const MAX_EXAMPLES = 5;               // issues of one kind reported individually per file
+
+// --------------- Validation issues --------------------------
+
+/**
+ * Collects validation issues { severity, file, where, message }, where
+ * severity is 'error' or 'warning' and `where` locates the problem
+ * ('line 12', 'row 3', …) or is empty. Only the first few issues of each
+ * kind and file are kept; the rest are summarised by finish().
+ */
+export class IssueLog {
+  constructor() {
+    this._issues = [];
+    this._counts = new Map(); // kind|file -> { count, severity, file, kind }
+  }
+
+  add(kind, severity, file, where, message) {
+    const key = kind + '|' + file;
+    const c = this._counts.get(key) || { count: 0, severity, file, kind };
+    this._counts.set(key, c);
+    if (c.count++ < MAX_EXAMPLES) this._issues.push({ severity, file, where, message });
+  }
+
+  finish() {
+    const out = this._issues.slice();
+    for (const c of this._counts.values()) {
+      if (c.count > MAX_EXAMPLES) {
+        out.push({ severity: c.severity, file: c.file, where: '',
+                   message: (c.count - MAX_EXAMPLES) + ' more issue(s) of the same kind (' + c.kind + ')' });
+      }
+    }
+    return out;
+  }
+}
+
+// --------------- File naming --------------------------------
+
+/**
+ * Resolve the file names of a run: qt_* (current) or legacy names.
+ * Returns { speciesList, reactionsList, …, matrix, conditions }.
+ */
+export function dataFileNames(files) {
+  const hasQT = files.some(f => f.name === 'qt_species_list.txt');
+  const prefix = hasQT ? 'qt_' : '';
+  return {
+    speciesList:    prefix ? 'qt_species_list.txt'    : 'species_list.txt',
+    reactionsList:  prefix ? 'qt_reactions_list.txt'  : 'reactions_list.txt',
+    conditionsList: prefix ? 'qt_conditions_list.txt' : 'conditions_list.txt',
+    densities:      prefix ? 'qt_densities.txt'       : 'out_density.txt',
+    rates:          prefix ? 'qt_rates.txt'           : 'out_rate.txt',
+    matrix:         prefix ? 'qt_matrix.txt'          : 'source_matrix.txt',
+    conditions:     prefix ? 'qt_conditions.txt'      : 'out_temperatures.txt',
+  };
+}
+
+export function findFile(files, name) {
+  // file.name is just the basename; webkitRelativePath has full path
+  return files.find(f => f.name === name) || null;
+}
+
+// --------------- List / matrix files ------------------------
+
+/**
+ * Parse a list file like qt_species_list.txt
+ * Each line: "  1 Name" → returns ["Name", …]
+ */
+export function parseListFile(text) {
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => {
+      // Strip leading index number
+      const m = line.match(/^\d+\s+(.*)/);
+      return m ? m[1].trim() : line;
+    });
+}
+
+/**
+ * Parse source matrix file (space-separated integers, one row per species)
+ */
+export function parseMatrix(text) {
+  return text.trim().split('\n')
+    .filter(line => line.trim())
+    .map(line => line.trim().split(/\s+/).map(Number));
+}
+
+// --------------- Column storage -----------------------------
+
+/**
+ * Growable column store for a data file: a time column plus nCols value
+ * columns, each a Float64Array with spare capacity so that rows can be
+ * appended (live runs) without copying on every row.
+ */
+export class ColumnBuffer {
+  constructor(nCols, capacity = 1024) {
+    this.nCols = nCols;
+    this.length = 0;
+    this._t = new Float64Array(capacity);
+    this._cols = Array.from({ length: nCols }, () => new Float64Array(capacity));
+  }
+
+  /** Rebuild from the arrays produced by toArrays() (e.g. after a worker transfer) */
+  static fromArrays({ t, cols }) {
+    const buf = new ColumnBuffer(cols.length, 0);
+    buf.length = t.length;
+    buf._t = t;
+    buf._cols = cols;
+    return buf;
+  }
+
+  /** Append one row; values missing from a short row are zero */
+  appendRow(t, vals) {
+    if (this.length === this._t.length) this._grow();
+    const i = this.length++;
+    this._t[i] = t;
+    for (let j = 0; j < this.nCols; j++) {
+      const v = vals[j];
+      this._cols[j][i] = v !== undefined ? v : 0;
+    }
+  }
+
+  time()     { return this._t.subarray(0, this.length); }
+  column(j)  { return j >= 0 && j < this.nCols ? this._cols[j].subarray(0, this.length) : undefined; }
+
+  /** Trimmed copies, suitable for transferring to another thread */
+  toArrays() {
+    return {
+      t:    this._t.slice(0, this.length),
+      cols: this._cols.map(c => c.slice(0, this.length)),
+    };
+  }
+
+  _grow() {
+    const cap = Math.max(1024, this._t.length * 2);
+    const grow = a => { const b = new Float64Array(cap); b.set(a); return b; };
+    this._t = grow(this._t);
+    this._cols = this._cols.map(grow);
+  }
+}
+
+// --------------- Data files ---------------------------------
+
+/**
+ * Incremental parser for data files (densities / rates / conditions).
+ * Text is fed in arbitrary chunks with push(); rows go into a ColumnBuffer.
+ * The first line is a header (skipped) when `header` is set. With
+ * `completeOnly` a last line lacking its newline is left unparsed by
+ * end(), since the simulation may still be writing it.
+ *
+ * When given an IssueLog (`issues`), problems are reported with line
+ * numbers: column counts that differ from the list file, skipped rows,
+ * time that does not increase and NaN/Inf values. `line` and `lastT`
+ * resume the numbering and the time check of an earlier parse.
+ */
+export class RowParser {
+  constructor(buffer, {
+    header = true, completeOnly = false,
+    file = '', issues = null, columnNames = null, line = 0, lastT = -Infinity,
+  } = {}) {
+    this.buffer = buffer;
+    this.rows = 0;
+    this.line = line;    // lines consumed so far (1-based number of the last one)
+    this.lastT = lastT;
+    this._skipHeader = header;
+    this._completeOnly = completeOnly;
+    this._file = file;
+    this._issues = issues;
+    this._names = columnNames;
+    this._rest = '';
+  }
+
+  push(text) {
+    const s = this._rest + text;
+    const end = s.lastIndexOf('\n');
+    if (end < 0) { this._rest = s; return; }
+    this._parseLines(s.slice(0, end));
+    this._rest = s.slice(end + 1);
+  }
+
+  /** Finish parsing; returns the unparsed remainder (empty unless completeOnly) */
+  end() {
+    if (this._completeOnly) return this._rest;
+    this._parseLines(this._rest);
+    this._rest = '';
+    return '';
+  }
+
+  _parseLines(text) {
+    const lines = text.split('\n');
+    const nCols = this.buffer.nCols;
+    for (const raw of lines) {
+      this.line++;
+      if (this._skipHeader) { this._skipHeader = false; continue; }
+      const line = raw.trim();
+      if (!line) continue;
+      const vals = line.split(/\s+/).map(Number);
+      if (!vals.length || isNaN(vals[0])) {
+        this._report('skipped', 'warning', 'row skipped: time value "' + line.split(/\s+/)[0] + '" is not a number');
+        continue;
+      }
+      if (this._issues) this._check(vals, nCols);
+      this.buffer.appendRow(vals[0], vals.slice(1));
+      this.lastT = vals[0];
+      this.rows++;
+    }
+  }
+
+  _check(vals, nCols) {
+    const n = vals.length - 1;
+    if (n !== nCols) {
+      this._report('columns', 'warning', n + ' values, expected ' + nCols + ' from the list file' +
+                   (n < nCols ? ' (missing ones read as 0)' : ' (extra ones ignored)'));
+    }
+    if (!(vals[0] > this.lastT)) {
+      this._report('time', 'error', 'time ' + vals[0] + ' does not increase (previous ' + this.lastT + ')');
+    }
+    for (let j = 0; j < vals.length; j++) {
+      if (isFinite(vals[j])) continue;
+      const col = j === 0 ? 'time' : (this._names && this._names[j - 1]) || 'column ' + (j + 1);
+      this._report('nonfinite', 'warning', vals[j] + ' value for ' + col);
+    }
+  }
+
+  _report(kind, severity, message) {
+    if (this._issues) this._issues.add(kind, severity, this._file, 'line ' + this.line, message);
+  }
+}
+
+/**
+ * Parse a data file blob in chunks; options are passed on to RowParser.
+ * onChunk(bytesRead, rows) is called after each chunk.
+ * Returns { buffer, rows, offset, line, lastT } where offset is the number
+ * of bytes consumed (less than the size when completeOnly leaves a partial
+ * last line) and line/lastT allow resuming with the same numbering.
+ */
+export async function parseDataBlob(blob, nCols, options = {}, onChunk = null) {
+  const buffer  = options.buffer || new ColumnBuffer(nCols);
+  const parser  = new RowParser(buffer, options);
+  const decoder = new TextDecoder();
+  for (let pos = 0; pos < blob.size; pos += CHUNK_BYTES) {
+    const bytes = await blob.slice(pos, pos + CHUNK_BYTES).arrayBuffer();
+    parser.push(decoder.decode(bytes, { stream: true }));
+    if (onChunk) onChunk(Math.min(pos + CHUNK_BYTES, blob.size), parser.rows);
+  }
+  parser.push(decoder.decode());
+  const rest = parser.end();
+  return {
+    buffer,
+    rows:   parser.rows,
+    offset: blob.size - new TextEncoder().encode(rest).length,
+    line:   parser.line,
+    lastT:  parser.lastT,
+  };
+}
+
+// --------------- Whole run ----------------------------------
+
+/**
+ * Load a text-format run from its files.
+ * options.live: only consume newline-terminated rows and report where each
+ * data file ends, so that the caller can resume reading from there.
+ * onProgress({ done, total, rows, label }) reports bytes parsed so far.
+ * Returns a plain object of names, typed arrays and validation issues
+ * (see DirectoryData).
+ */
+export async function loadTextRun(fileList, options = {}, onProgress = null) {
+  const files = Array.from(fileList);
+  const names = dataFileNames(files);
+  const getFile = key => findFile(files, names[key]);
+  const readOrNull = key => { const f = getFile(key); return f ? f.text() : null; };
+  const issues = new IssueLog();
+
+  const [speciesText, reactionsText, conditionsListText, matrixText] = await Promise.all([
+    readOrNull('speciesList'),
+    readOrNull('reactionsList'),
+    readOrNull('conditionsList'),
+    readOrNull('matrix'),
+  ]);
+
+  if (!speciesText)          throw new Error('Species list file not found');
+  if (!getFile('densities')) throw new Error('Densities file not found');
+
+  const species    = parseListFile(speciesText);
+  const reactions  = reactionsText      ? parseListFile(reactionsText)      : [];
+  const conditions = conditionsListText ? parseListFile(conditionsListText) : [];
+
+  // Each data file goes with its list file; one without the other is unusable
+  const dataKeys = [
+    ['densities',  species,    'speciesList'],
+    ['rates',      reactions,  'reactionsList'],
+    ['conditions', conditions, 'conditionsList'],
+  ].filter(([key, list, listKey]) => {
+    if (getFile(key) && !getFile(listKey)) {
+      issues.add('files', 'warning', names[key], '', 'ignored: ' + names[listKey] + ' not found');
+      return false;
+    }
+    if (!getFile(key) && getFile(listKey) && list.length) {
+      issues.add('files', 'warning', names[listKey], '', names[key] + ' not found: no values for these ' + list.length + ' entries');
+    }
+    return !!getFile(key);
+  });
+  // Progress is reported in bytes over all data files
+  const total = dataKeys.reduce((sum, [key]) => sum + getFile(key).size, 0);
+  let before = 0;
+
+  const columns = {};
+  for (const [key, list] of dataKeys) {
+    const file = getFile(key);
+    const onChunk = (bytes, rows) => {
+      if (onProgress) onProgress({ done: before + bytes, total, rows, label: 'Parsing ' + file.name });
+    };
+    const parsed = await parseDataBlob(file, list.length, {
+      completeOnly: !!options.live, file: file.name, issues, columnNames: list,
+    }, onChunk);
+    columns[key] = { ...parsed.buffer.toArrays(), offset: parsed.offset, line: parsed.line, lastT: parsed.lastT };
+    before += file.size;
+  }
+
+  // All data files should cover the same timesteps (a live run may lag by a row or two)
+  const nSteps = columns.densities.t.length;
+  for (const key of ['rates', 'conditions']) {
+    const n = columns[key] ? columns[key].t.length : nSteps;
+    if (n !== nSteps && !options.live) {
+      issues.add('steps', 'warning', names[key], '', n + ' timesteps, but ' + names.densities + ' has ' + nSteps);
+    }
+  }
+
+  return {
+    names, species, reactions, conditions,
+    columns, // data-file key -> { t, cols, offset, line, lastT }
+    matrix: matrixText ? parseMatrix(matrixText) : null,
+    issues: issues.finish(),
+  };
+}
+
+/** ArrayBuffers in a loadTextRun() result, for a zero-copy postMessage */
+export function transferables(result) {
+  const out = [];
+  for (const { t, cols } of Object.values(result.columns)) {
+    out.push(t.buffer, ...cols.map(c => c.buffer));
+  }
+  return out;
+}
@@ -0,0 +1,25 @@
+// ============================================================
+// worker.js  –  Off-main-thread loading for JSPlaskin
+// ============================================================
+//
+// Module worker driven by LoaderWorker (data.js). Each request is
+// { id, op, args }; the worker answers with any number of
+// { id, type: 'progress', done, total, rows, label } messages followed by
+// { id, type: 'result', result } or { id, type: 'error', message }.
+// The operations themselves are in loader-ops.js.
+
+import { OPS } from './loader-ops.js';
+
+// ---- Message loop ----
+
+self.onmessage = async (e) => {
+  const { id, op, args } = e.data;
+  const progress = p => self.postMessage({ id, type: 'progress', ...p });
+  try {
+    if (!OPS[op]) throw new Error('Unknown worker operation: ' + op);
+    const { result, transfer } = await OPS[op](args, progress);
+    self.postMessage({ id, type: 'result', result }, transfer || []);
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSources, filterRates, rangeMax, reactionShares, timescales, seriesFeatures, conservationTotals,
+         interpolate, interpolationRows, integrate, speciesBalance, reactionSides, speciesFluxEdges } from '../js/analysis.js';
+import { parseSpecies } from '../js/chem.js';
+
+const near = (actual, expected, tol = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tol * Math.max(1, Math.abs(expected)), actual + ' ≉ ' + expected);
+
+test('sources are split into production and loss', () => {
+  const { creation, removal } = splitSources({ 1: [1, 2], 2: [-3, 0], 3: [1, -1] });
+  assert.deepEqual(creation.ids, [1, 3]);
+  assert.deepEqual(removal.ids, [2, 3]);
+  assert.deepEqual(removal.weighted[3], [0, 1]);
+});
+
+test('reactions are ranked by their score and cut at the threshold', () => {
+  const weighted = { 1: [1, 10], 2: [5, 0], 3: [0.5, 0.5], 4: [9.5, 0] };
+  assert.deepEqual(filterRates(weighted, [1, 2, 3, 4], 0.1), [1, 4, 2]);
+  assert.deepEqual(filterRates(weighted, [1, 2, 3, 4], 0.1, 1), [1, 4]);
+  assert.deepEqual(filterRates(weighted, [1, 2, 3, 4], 0, 8, 1), [1, 4, 2, 3]);
+  // Ranked on the first sample only, as with a window
+  assert.deepEqual(filterRates(weighted, [1, 2, 3, 4], 0.5, 8, 1, y => rangeMax([0, 1], y, 0, 0)), [4, 2]);
+  assert.equal(rangeMax([0, 1, 2], [3, 1, 2], 1, 2), 2);
+});
+
+test('shares of the shown reactions add up to 100 with the rest', () => {
+  const { shares, other } = reactionShares({ ids: [1, 2, 3], weighted: { 1: [1, 0], 2: [2, 0], 3: [1, 0] } }, [2], 2);
+  assert.deepEqual([...shares[2]], [50, 0]);
+  assert.deepEqual([...other], [50, 0]);
+});
+
+test('timescales are the density over the total loss and production', () => {
+  const { loss, production, lossRate } = timescales({ 1: [2, 0], 2: [-4, -1] }, [8, 1]);
+  assert.deepEqual([...lossRate], [4, 1]);
+  assert.deepEqual([...loss], [2, 1]);
+  assert.deepEqual([...production], [4, Infinity]);
+  assert.deepEqual([...timescales({ 1: [0] }, [0]).loss], [Infinity]);
+});
+
+test('features of a rise and fall', () => {
+  const t = [0, 1, 2, 3, 4, 5];
+  const f = seriesFeatures(t, [0, 10, 5, 2, 2, 2], 0.5, 0.01);
+  assert.equal(f.peakTime, 1);
+  assert.equal(f.peak, 10);
+  assert.equal(f.final, 2);
+  near(f.riseTime, 0.1);
+  near(f.decayTime, 1 + (10 / Math.E - 5) / (2 - 5));
+  assert.equal(f.steadyTime, 3);
+  assert.ok(Number.isNaN(seriesFeatures(t, [1, 1, 1, 1, 1, 1]).riseTime));
+});
+
+test('conservation totals add up charges and atoms, also in batches', () => {
+  const names = ['e', 'O2', 'O2^+', 'O-', 'M'];
+  const parsed = names.map(parseSpecies);
+  const densities = [[2, 1], [10, 10], [3, 1], [1, 0], [100, 100]];
+  const all = conservationTotals(parsed, densities, 2);
+  assert.deepEqual([...all.electrons], [2, 1]);
+  assert.deepEqual([...all.positive], [3, 1]);
+  assert.deepEqual([...all.negative], [1, 0]);
+  assert.deepEqual([...all.netCharge], [0, 0]);
+  assert.deepEqual([...all.elements.get('O')], [27, 22]);
+  assert.deepEqual([...all.elements.keys()], ['O']);
+
+  let batched = conservationTotals(parsed.slice(0, 2), densities.slice(0, 2), 2);
+  batched = conservationTotals(parsed.slice(2), densities.slice(2), 2, batched);
+  assert.deepEqual(batched, all);
+});
+
+test('interpolation reads the rows on either side of the time', () => {
+  const t = [0, 1, 2, 4];
+  assert.equal(interpolate(t, [0, 10, 20, 40], 3), 30);
+  assert.equal(interpolate(t, [0, 10, 20, 40], -1), 0);
+  assert.deepEqual(interpolationRows(t, 3), [2, 4]);
+  assert.deepEqual(interpolationRows(t, 5), [3, 4]);
+  const [start, end] = interpolationRows(t, 0.5);
+  assert.equal(interpolate(t.slice(start, end), [0, 10, 20, 40].slice(start, end), 0.5), 5);
+});
+
+test('integrals are trapezoidal and cut at the window', () => {
+  assert.equal(integrate([0, 1, 2], [0, 2, 2]), 3);
+  assert.equal(integrate([0, 1, 2], [0, 2, 2], 0.5, 1.5), 0.75 + 1);
+});
+
+test('a source that explains dn/dt balances', () => {
+  const t = [0, 1, 2, 3];
+  const b = speciesBalance({ 1: [2, 2, 2, 2] }, t, [0, 2, 4, 6]);
+  assert.deepEqual([...b.dndt], [2, 2, 2, 2]);
+  assert.equal(b.maxRelative, 0);
+  const off = speciesBalance({ 1: [1, 1, 1, 1] }, t, [0, 2, 4, 6]);
+  near(off.meanRelative, 0.5);
+});
+
+test('fluxes run from reactants to products', () => {
+  // e + O2 -> O + O-;  O- + O2^+ -> O + O2
+  const sides = reactionSides([[-1, 0], [-1, 1], [1, 1], [1, -1], [0, -1]], 2);
+  assert.deepEqual(sides[0], { reactants: [[1, 1], [2, 1]], products: [[3, 1], [4, 1]] });
+  const edges = speciesFluxEdges(sides, [1, 2], id => [3, 2][id - 1], 4);
+  assert.deepEqual(edges.map(e => [e.from, e.to, e.weight]), [[1, 4, 3], [2, 4, 3], [4, 2, 2], [4, 3, 2]]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpecies, deriveSourceMatrix } from '../js/chem.js';
+
+const composition = name => {
+  const p = parseSpecies(name);
+  return p && { elements: Object.fromEntries(p.elements), charge: p.charge };
+};
+
+test('digits before a trailing sign belong to the formula', () => {
+  assert.deepEqual(composition('O2-'),  { elements: { O: 2 }, charge: -1 });
+  assert.deepEqual(composition('N2+'),  { elements: { N: 2 }, charge: 1 });
+  assert.deepEqual(composition('CO2-'), { elements: { C: 1, O: 2 }, charge: -1 });
+});
+
+test('a charge count follows ^', () => {
+  assert.deepEqual(composition('N^2+'),  { elements: { N: 1 }, charge: 2 });
+  assert.deepEqual(composition('O4^++'), { elements: { O: 4 }, charge: 2 });
+  assert.deepEqual(composition('O2^+'),  { elements: { O: 2 }, charge: 1 });
+});
+
+test('the source matrix follows the reaction labels', () => {
+  const { matrix, problems } = deriveSourceMatrix(['e', 'O2', 'O', 'O-'], [
+    'e + O2 => O + O-',
+    '2O + M -> O2 + M',
+    'O2 + hv => O + O',
+    'nonsense',
+  ]);
+  assert.deepEqual(matrix, [
+    [-1,  0,  0, 0],
+    [-1,  1, -1, 0],
+    [ 1, -2,  2, 0],
+    [ 1,  0,  0, 0],
+  ]);
+  assert.deepEqual(problems.map(p => [p.reaction, p.severity]), [[3, 'warning'], [4, 'error']]);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { downsampleM4 } from '../js/downsample.js';
+
+const line = n => {
+  const x = Float64Array.from({ length: n }, (_, i) => i);
+  const y = Float64Array.from(x, v => Math.sin(v / 7) * (v % 13));
+  return { x, y };
+};
+
+test('short lines are returned as they are', () => {
+  const { x, y } = line(40);
+  const out = downsampleM4(x, y, null, null, 10);
+  assert.equal(out.x, x);
+  assert.equal(out.y, y);
+});
+
+test('each bucket keeps its first, last, smallest and largest point', () => {
+  const { x, y } = line(1000);
+  const out = downsampleM4(x, y, null, null, 10);
+  assert.ok(out.x.length <= 40);
+  assert.equal(out.x[0], 0);
+  assert.equal(out.x.at(-1), 999);
+  const bucketOf = v => Math.min(Math.floor(v / 99.9), 9);
+  for (let b = 0; b < 10; b++) {
+    const ys = y.filter((_, i) => bucketOf(x[i]) === b);
+    const kept = out.y.filter((_, i) => bucketOf(out.x[i]) === b);
+    assert.ok(kept.includes(Math.max(...ys)) && kept.includes(Math.min(...ys)), 'bucket ' + b);
+  }
+  // Kept points stay in order
+  assert.ok(out.x.every((v, i) => i === 0 || v > out.x[i - 1]));
+});
+
+test('a window keeps one point on either side so the line reaches its edges', () => {
+  const { x, y } = line(1000);
+  const out = downsampleM4(x, y, 100.5, 199.5, 50);
+  assert.deepEqual([out.x[0], out.x.at(-1)], [100, 200]);
+  assert.deepEqual([...out.y], [...y.slice(100, 201)]);
+});
+
+test('log buckets put times at or below zero into the first', () => {
+  const x = Float64Array.from({ length: 2000 }, (_, i) => i === 0 ? 0 : Math.pow(10, -6 + 6 * i / 1999));
+  const y = Float64Array.from(x, (_, i) => i % 7);
+  const out = downsampleM4(x, y, null, null, 20, true);
+  assert.equal(out.x[0], 0);
+  assert.equal(out.x.at(-1), 1);
+  assert.ok(out.x.length <= 80);
+});
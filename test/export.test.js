@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvEscape, seriesToCSV, windowRows, windowSeries, alignSeries, timeGrid, resampleSeries, seriesToDelimited,
+         seriesToJSON, npyBytes, seriesToNpy, seriesToNpzMembers } from '../js/export.js';
+
+/** Header dict and float64 values of a .npy file */
+function readNpy(bytes) {
+  assert.deepEqual([...bytes.slice(0, 8)], [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]);
+  const len = bytes[8] | (bytes[9] << 8);
+  assert.equal((10 + len) % 64, 0);
+  const header = String.fromCharCode(...bytes.slice(10, 10 + len));
+  const values = new Float64Array(bytes.slice(10 + len).buffer);
+  return { header, values };
+}
+
+test('CSV fields are quoted only when needed', () => {
+  assert.equal(csvEscape('O2^+'), 'O2^+');
+  assert.equal(csvEscape('a, "b"'), '"a, ""b"""');
+  assert.equal(seriesToCSV([0, 1], [{ name: 'e + O2, ion', values: [1, 2] }]), 'time,"e + O2, ion"\n0,1\n1,2\n');
+});
+
+test('series of different runs are aligned on the union of their times', () => {
+  const a = { name: 'a', t: [0, 1, 2], values: [1, 2, 3] };
+  const b = { name: 'b', t: [1, 3],    values: [5, 6] };
+  const { t, columns } = alignSeries([a, b]);
+  assert.deepEqual([...t], [0, 1, 2, 3]);
+  assert.deepEqual([...columns[0].values], [1, 2, 3, NaN]);
+  assert.deepEqual([...columns[1].values], [NaN, 5, NaN, 6]);
+  assert.deepEqual(columns[1].name, 'b');
+});
+
+test('a time window cuts every series', () => {
+  const [c] = windowSeries([{ name: 'a', t: [0, 1, 2, 3], values: [1, 2, 3, 4] }], 0.5, 2);
+  assert.deepEqual([c.t, c.values], [[1, 2], [2, 3]]);
+  assert.deepEqual(windowRows([0, 1, 2, 3], null, 2), [0, 3]);
+});
+
+test('series that share their times still share them in a window', () => {
+  const t = [0, 1, 2, 3];
+  const [a, b] = windowSeries([{ name: 'a', t, values: [1, 2, 3, 4] }, { name: 'b', t, values: [5, 6, 7, 8] }], 1, null);
+  assert.equal(a.t, b.t);
+  const aligned = alignSeries([a, b]);
+  assert.equal(aligned.t, a.t);
+  assert.deepEqual(aligned.columns.map(c => c.values), [[2, 3, 4], [6, 7, 8]]);
+});
+
+test('resampling interpolates inside each series and leaves the rest empty', () => {
+  assert.deepEqual([...timeGrid(1, 100, 3, true)], [1, 10, 100]);
+  assert.deepEqual([...timeGrid(0, 1, 3)], [0, 0.5, 1]);
+  const { columns } = resampleSeries([{ name: 'a', t: [0, 1, 2], values: [0, 10, 30] }], [-1, 0.5, 1.5, 2, 3]);
+  assert.deepEqual([...columns[0].values], [NaN, 5, 20, 30, NaN]);
+});
+
+test('delimited text and JSON leave out non-finite values', () => {
+  const columns = [{ name: 'a', values: [1, NaN] }, { name: 'b\tc', values: [Infinity, 2] }];
+  assert.equal(seriesToDelimited([0, 1], columns, '\t'), 'time\ta\tb c\n0\t1\t\n1\t\t2\n');
+  assert.equal(seriesToDelimited([0, 1], columns), 'time,a,b\tc\n0,1,\n1,,2\n');
+  assert.deepEqual(JSON.parse(seriesToJSON([0, 1], [{ name: 'a', run: 'r1', values: [1, NaN] }])),
+                   { time: [0, 1], series: [{ name: 'a', run: 'r1', values: [1, null] }] });
+});
+
+test('npy files hold little-endian float64 in C order', () => {
+  const vec = readNpy(npyBytes([1.5, -2], [2]));
+  assert.match(vec.header, /^\{'descr': '<f8', 'fortran_order': False, 'shape': \(2,\), \} *\n$/);
+  assert.deepEqual([...vec.values], [1.5, -2]);
+
+  const mat = readNpy(seriesToNpy([0, 1], [{ name: 'a', values: [2, 3] }, { name: 'b', values: [4, NaN] }]));
+  assert.match(mat.header, /'shape': \(2, 3\)/);
+  assert.deepEqual([...mat.values], [0, 2, 4, 1, 3, NaN]);
+});
+
+test('npz members are named after their series without clashes', () => {
+  const members = seriesToNpzMembers([0], [
+    { name: 'a/b', values: [1] }, { name: 'a_b', values: [2] }, { name: 'time', values: [3] }, { name: '', values: [4] },
+  ]);
+  assert.deepEqual(members.map(m => m.name), ['time.npy', 'a_b.npy', 'a_b (2).npy', 'time (2).npy', 'series.npy']);
+  assert.deepEqual([...readNpy(members[2].bytes).values], [2]);
+});
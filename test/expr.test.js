@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExpression, bindExpression, patternToRegExp } from '../js/expr.js';
+
+const run = {
+  species:    ['e', 'O2', 'O3', 'O2^+', 'N2(A3)', 'N2(B3)'],
+  reactions:  ['e + O2 => O2^+ + e + e', 'O + O2 + M => O3 + M'],
+  conditions: ['gas_temperature'],
+};
+const t = [0, 1, 2];
+const series = {
+  density:   { 1: [1, 2, 4], 2: [10, 10, 10], 3: [1, 2, 3], 4: [0, 1, 2], 5: [1, 1, 1], 6: [2, 2, 2] },
+  rate:      { 1: [5, 6, 7], 2: [1, 1, 1] },
+  condition: { 1: [300, 310, 320] },
+};
+const get = (kind, key) => series[kind][key];
+const evaluate = text => [...bindExpression(parseExpression(text), run).evaluate(get, t)];
+
+test('bare names are species, then conditions', () => {
+  assert.deepEqual(evaluate('O3 / O2'), [0.1, 0.2, 0.3]);
+  assert.deepEqual(evaluate('gas_temperature - 300'), [0, 10, 20]);
+});
+
+test('n(), r() and c() take quoted names or 1-based indices', () => {
+  assert.deepEqual(evaluate('n("O2^+") + n(1)'), [1, 3, 6]);
+  assert.deepEqual(evaluate('r(1) * 2'), [10, 12, 14]);
+  assert.deepEqual(evaluate("c('gas_temperature')"), [300, 310, 320]);
+});
+
+test('powers bind tighter than signs and products', () => {
+  assert.deepEqual(evaluate('-2 ^ 2 + 3 * t'), [-4, -1, 2]);
+  assert.deepEqual(evaluate('max(e, 2) + log10(100)'), [4, 4, 6]);
+  assert.deepEqual(evaluate('1 + 1'), [2, 2, 2]);
+});
+
+test('sum_n() and sum_r() add up the names matching a pattern', () => {
+  assert.deepEqual(evaluate('sum_n("N2(*)")'), [3, 3, 3]);
+  assert.deepEqual(evaluate('sum_r("* => O3 *")'), [1, 1, 1]);
+  assert.ok(patternToRegExp('O?^+').test('O2^+'));
+  assert.ok(!patternToRegExp('O?').test('O2^+'));
+});
+
+test('only the series an expression reads are needed', () => {
+  const { needs } = bindExpression(parseExpression('O3 + sum_n("N2(*)") * gas_temperature + t'), run);
+  assert.deepEqual(needs, { density: [3, 5, 6], rate: [], condition: [1] });
+});
+
+test('syntax errors name their position', () => {
+  assert.throws(() => parseExpression('O3 +'), /at end of expression/);
+  assert.throws(() => parseExpression('O3 # 2'), /Unexpected "#" at position 4/);
+  assert.throws(() => parseExpression('(O3'), /Expected "\)"/);
+});
+
+test('unknown names are reported when binding', () => {
+  const bind = text => bindExpression(parseExpression(text), run);
+  assert.throws(() => bind('O4'), /Unknown name "O4" at position 1/);
+  assert.throws(() => bind('n("O4")'), /no such name in this run/);
+  assert.throws(() => bind('n(7)'), /expects a quoted name or a 1-based index/);
+  assert.throws(() => bind('sum_n("X*")'), /no name matches/);
+  assert.throws(() => bind('foo(O3)'), /Unknown function "foo"/);
+});
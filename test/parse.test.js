@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IssueLog, ColumnBuffer, RowParser, parseDataBlob, parseListFile } from '../js/parse.js';
+
+test('list files lose their leading indices', () => {
+  assert.deepEqual(parseListFile('  1 e\n  2 O2^+\n\n  3 N2(A3)\n'), ['e', 'O2^+', 'N2(A3)']);
+});
+
+test('the issue log keeps a few examples of each kind and counts the rest', () => {
+  const log = new IssueLog();
+  for (let i = 1; i <= 8; i++) log.add('time', 'error', 'qt_densities.txt', 'line ' + i, 'bad');
+  log.add('columns', 'warning', 'qt_densities.txt', 'line 2', 'short');
+  const issues = log.finish();
+  assert.equal(issues.filter(i => i.where).length, 6);
+  assert.deepEqual(issues.at(-1), { severity: 'error', file: 'qt_densities.txt', where: '',
+                                    message: '3 more issue(s) of the same kind (time)' });
+});
+
+test('a column buffer grows and reads missing values as zero', () => {
+  const buf = new ColumnBuffer(2, 1);
+  buf.appendRow(0, [1, 2]);
+  buf.appendRow(1, [3]);
+  buf.appendRow(2, [5, 6]);
+  assert.deepEqual([...buf.time()], [0, 1, 2]);
+  assert.deepEqual([...buf.column(1)], [2, 0, 6]);
+  assert.equal(buf.column(2), undefined);
+  const copy = ColumnBuffer.fromArrays(buf.toArrays());
+  assert.deepEqual([...copy.column(0)], [1, 3, 5]);
+});
+
+test('rows split across chunks are parsed once, after the header', () => {
+  const buf = new ColumnBuffer(2);
+  const parser = new RowParser(buf);
+  parser.push(' time  a  b\n 0 1 2\n 1 3');
+  parser.push(' 4\n 2 5 6');
+  assert.equal(parser.end(), '');
+  assert.deepEqual([...buf.time()], [0, 1, 2]);
+  assert.deepEqual([...buf.column(1)], [2, 4, 6]);
+});
+
+test('completeOnly leaves an unfinished last line for later', () => {
+  const buf = new ColumnBuffer(1);
+  const parser = new RowParser(buf, { header: false, completeOnly: true });
+  parser.push('0 1\n1 2\n2 ');
+  assert.equal(parser.end(), '2 ');
+  assert.equal(buf.length, 2);
+});
+
+test('problems are reported with their line numbers', () => {
+  const issues = new IssueLog();
+  const parser = new RowParser(new ColumnBuffer(2), { file: 'f.txt', issues, columnNames: ['a', 'b'] });
+  parser.push('time a b\n0 1 2\n0 1\nx 1 2\n1 NaN 2\n');
+  parser.end();
+  assert.deepEqual(issues.finish().map(i => [i.where, i.severity, i.message]), [
+    ['line 3', 'warning', '1 values, expected 2 from the list file (missing ones read as 0)'],
+    ['line 3', 'error',   'time 0 does not increase (previous 0)'],
+    ['line 4', 'warning', 'row skipped: time value "x" is not a number'],
+    ['line 5', 'warning', 'NaN value for a'],
+  ]);
+});
+
+test('a blob is parsed up to its last complete row and can be resumed', async () => {
+  const text = 'time a\n0 1\n1 2\n2 ';
+  const first = await parseDataBlob(new Blob([text]), 1, { completeOnly: true });
+  assert.equal(first.rows, 2);
+  assert.equal(first.offset, text.length - 2);
+  assert.equal(first.lastT, 1);
+
+  const more = '2 3\n3 4\n';
+  const next = await parseDataBlob(new Blob([text.slice(first.offset) + more.slice(2)]), 1, {
+    buffer: first.buffer, header: false, completeOnly: true, line: first.line, lastT: first.lastT,
+  });
+  assert.equal(next.rows, 2);
+  assert.deepEqual([...first.buffer.column(0)], [1, 2, 3, 4]);
+  assert.equal(next.line, 5);
+});